@@ -0,0 +1,300 @@
+/**
+ * Background listener for AMX Device Discovery beacons of Global Caché devices.
+ *
+ * Global Caché devices periodically send a multicast beacon with their stable UUID, e.g.:
+ * `AMXB<-UUID=GlobalCache_000C1E024239><-SDKClass=Utility><-Make=GlobalCache><-Model=iTachWF2IR>...`
+ *
+ * @copyright (c) 2024 by Unfolded Circle ApS.
+ * @license Mozilla Public License Version 2.0, see LICENSE for more details.
+ */
+
+import dgram from "dgram";
+import { EventEmitter } from "events";
+import { log } from "./loggers.js";
+
+/**
+ * Multicast group of the AMX Device Discovery beacons.
+ * @type {string}
+ */
+const BEACON_GROUP = "239.255.250.250";
+
+/**
+ * UDP port of the AMX Device Discovery beacons.
+ * @type {number}
+ */
+const BEACON_PORT = 9131;
+
+/**
+ * Initial delay in milliseconds to restart the beacon listener after a socket error. Doubled after each failed attempt.
+ * @type {number}
+ */
+const RESTART_DELAY = 1000;
+
+/**
+ * Maximum delay in milliseconds to restart the beacon listener.
+ * @type {number}
+ */
+const RESTART_MAX_DELAY = 60000;
+
+/**
+ * Beacon listener events.
+ * @type {{BEACON: string}}
+ */
+const BEACON_EVENTS = {
+  /** Valid beacon received. Parameter: beacon properties as returned by {@link parseBeacon}. */
+  BEACON: "beacon"
+};
+
+/**
+ * Parse an AMX Device Discovery beacon message.
+ *
+ * @param {string} message beacon message.
+ * @param {string} address IP address of the sender.
+ * @return {Map<string, string>|undefined} beacon properties with the additional `address` key, same as the discovery
+ *         result of `gc-unified-lib`. Undefined if it's not a valid beacon or the UUID is missing.
+ */
+function parseBeacon(message, address) {
+  if (typeof message !== "string" || !message.startsWith("AMXB")) {
+    return undefined;
+  }
+
+  const beacon = new Map();
+  for (const match of message.matchAll(/<-([^=>]+)=([^>]*)>/g)) {
+    beacon.set(match[1], match[2]);
+  }
+  if (!beacon.get("UUID")) {
+    return undefined;
+  }
+
+  beacon.set("address", address);
+  return beacon;
+}
+
+/**
+ * Check if the given device identifier is a beacon UUID, e.g. `GlobalCache_000C1E024239` or
+ * `GC100_000C1E01A875_GlobalCache`. The beacon UUID contains the MAC address and is stable.
+ *
+ * @param {string} id device identifier
+ * @return {boolean} false for identifiers of manually added devices based on the IP address.
+ */
+function isBeaconUuid(id) {
+  return typeof id === "string" && id.includes("GlobalCache");
+}
+
+/**
+ * Check if the beacon was sent by a Global Caché device. Other devices send AMX beacons as well.
+ *
+ * @param {Map<string, string>} beacon beacon properties as returned by {@link parseBeacon}.
+ * @return {boolean} true if the beacon contains a Global Caché UUID and make.
+ */
+function isGlobalCacheBeacon(beacon) {
+  return isBeaconUuid(beacon?.get("UUID")) && beacon.get("Make") === "GlobalCache";
+}
+
+class BeaconListener extends EventEmitter {
+  /** @type {dgram.Socket|undefined} */
+  #socket;
+  #started = false;
+  #restartTimer;
+  #restartAttempts = 0;
+  #restartDelay;
+  #restartMaxDelay;
+
+  /**
+   * Listener for device beacons. The listener is restarted with an increasing delay after a socket error.
+   *
+   * @param {Object} [options] listener options
+   * @param {number} [options.restartDelay=1000] initial restart delay in milliseconds after a socket error.
+   * @param {number} [options.restartMaxDelay=60000] maximum restart delay in milliseconds.
+   */
+  constructor({ restartDelay = RESTART_DELAY, restartMaxDelay = RESTART_MAX_DELAY } = {}) {
+    super();
+    this.#restartDelay = restartDelay;
+    this.#restartMaxDelay = restartMaxDelay;
+  }
+
+  /**
+   * Start listening for beacons. The socket is shared with other listeners, e.g. a discovery in the setup flow.
+   */
+  start() {
+    this.#started = true;
+    this.#open();
+  }
+
+  #open() {
+    if (this.#socket) {
+      return;
+    }
+
+    const socket = dgram.createSocket({ type: "udp4", reuseAddr: true });
+    socket.on("error", (err) => {
+      if (this.#socket === socket) {
+        this.#restart(`Beacon listener error: ${err}`);
+      }
+    });
+    socket.on("message", (msg, rinfo) => {
+      // the socket works again: the restart delay starts over with the next error
+      this.#restartAttempts = 0;
+      const beacon = parseBeacon(msg.toString(), rinfo.address);
+      if (beacon) {
+        this.emit(BEACON_EVENTS.BEACON, beacon);
+      }
+    });
+    socket.bind(BEACON_PORT, () => {
+      if (this.#socket !== socket) {
+        return;
+      }
+      try {
+        socket.addMembership(BEACON_GROUP);
+        log.debug("Listening for device beacons on %s:%d", BEACON_GROUP, BEACON_PORT);
+      } catch (e) {
+        this.#restart(`Failed to join beacon multicast group: ${e}`);
+      }
+    });
+    this.#socket = socket;
+  }
+
+  /**
+   * Close the socket and open a new one after the restart delay.
+   * @param {string} reason error message
+   */
+  #restart(reason) {
+    this.#close();
+    if (!this.#started || this.#restartTimer) {
+      return;
+    }
+    const delay = Math.min(this.#restartDelay * 2 ** this.#restartAttempts, this.#restartMaxDelay);
+    this.#restartAttempts += 1;
+    log.error("%s. Restarting beacon listener in %d ms", reason, delay);
+    this.#restartTimer = setTimeout(() => {
+      this.#restartTimer = undefined;
+      this.#open();
+    }, delay);
+  }
+
+  /**
+   * Stop listening for beacons.
+   */
+  stop() {
+    this.#started = false;
+    clearTimeout(this.#restartTimer);
+    this.#restartTimer = undefined;
+    this.#close();
+  }
+
+  #close() {
+    if (!this.#socket) {
+      return;
+    }
+    const socket = this.#socket;
+    this.#socket = undefined;
+    try {
+      socket.close();
+    } catch (e) {
+      // socket is already closed
+    }
+  }
+}
+
+/**
+ * Wait for the Global Caché beacons of the devices with the given IP addresses. A single listener is used for all
+ * devices, it's stopped as soon as all beacons have been received.
+ *
+ * @param {Array<string>} hosts IP addresses of the devices.
+ * @param {number} timeout maximum wait time in milliseconds.
+ * @return {Promise<Map<string, Map<string, string>>>} received beacon properties, mapped by IP address.
+ */
+function waitForBeacons(hosts, timeout) {
+  return new Promise((resolve) => {
+    const beacons = new Map();
+    const pending = new Set(hosts);
+    if (pending.size === 0) {
+      resolve(beacons);
+      return;
+    }
+
+    const listener = new BeaconListener();
+    const finish = () => {
+      clearTimeout(timer);
+      listener.stop();
+      listener.removeAllListeners();
+      resolve(beacons);
+    };
+    const timer = setTimeout(finish, timeout);
+
+    listener.on(BEACON_EVENTS.BEACON, (beacon) => {
+      const host = beacon.get("address");
+      if (pending.has(host) && isGlobalCacheBeacon(beacon)) {
+        pending.delete(host);
+        beacons.set(host, beacon);
+        if (pending.size === 0) {
+          finish();
+        }
+      }
+    });
+    listener.start();
+  });
+}
+
+/**
+ * Discover devices by listening for their beacons.
+ *
+ * The discovery ends after the timeout, or earlier if no new device was found within the idle time after the last
+ * found device.
+ *
+ * @param {Object} options discovery options
+ * @param {number} options.timeout maximum discovery time in milliseconds.
+ * @param {number} [options.idleTime] end the discovery if no new device was found within this time in milliseconds.
+ *        Only applied after the first device was found. Disabled if not set.
+ * @param {AbortSignal} [options.signal] signal to cancel the discovery. The already found devices are returned.
+ * @param {function(Map<string, string>)} [options.onDevice] called for each newly found device.
+ * @return {Promise<Map<string, Map<string, string>>>} found devices with their beacon properties, mapped by UUID.
+ */
+function discoverDevices({ timeout, idleTime, signal, onDevice }) {
+  return new Promise((resolve) => {
+    const devices = new Map();
+    if (signal?.aborted) {
+      resolve(devices);
+      return;
+    }
+
+    const listener = new BeaconListener();
+    let idleTimer;
+    const finish = () => {
+      clearTimeout(timer);
+      clearTimeout(idleTimer);
+      signal?.removeEventListener("abort", finish);
+      listener.stop();
+      listener.removeAllListeners();
+      resolve(devices);
+    };
+    const timer = setTimeout(finish, timeout);
+    signal?.addEventListener("abort", finish);
+
+    listener.on(BEACON_EVENTS.BEACON, (beacon) => {
+      const uuid = beacon.get("UUID");
+      if (devices.has(uuid)) {
+        return;
+      }
+      devices.set(uuid, beacon);
+      if (onDevice) {
+        onDevice(beacon);
+      }
+      if (idleTime) {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(finish, idleTime);
+      }
+    });
+    listener.start();
+  });
+}
+
+export {
+  BEACON_EVENTS,
+  BeaconListener,
+  discoverDevices,
+  isBeaconUuid,
+  isGlobalCacheBeacon,
+  parseBeacon,
+  waitForBeacons
+};
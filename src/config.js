@@ -9,10 +9,23 @@ import fs from "fs";
 import path from "path";
 import uc from "uc-integration-api";
 import { IrPortMode } from "gc-unified-lib/src/models.js";
+import { IR_PROTOCOLS } from "./ir_protocols.js";
 import { log } from "./loggers.js";
 
 const CFG_FILENAME = "gc_config.json";
 
+/**
+ * Port mode of relay ports. Relays are separate modules and not covered by `IrPortMode`.
+ * @type {string}
+ */
+const RELAY_PORT_MODE = "RELAY";
+
+/**
+ * Supported IR code formats of the `send_ir` command.
+ * @type {Array<string>}
+ */
+const IR_FORMATS = ["PRONTO", "SENDIR", ...Object.keys(IR_PROTOCOLS)];
+
 class GcDevice {
   #entityIds = [];
 
@@ -22,12 +35,45 @@ class GcDevice {
    * @param {string} name Friendly name of the device.
    * @param {string} address IP address of the device. Optionally followed by `:port` number.
    * @param {Array<GcIrPort>} [irPorts=[]] Configured IR ports of the device.
+   * @param {Object<string, Array<string>>} [portGroups={}] Named IR output port groups: group name to list of
+   *        `module:port` addresses. IR commands sent to a group are sent to all ports of the group.
+   * @param {boolean} [emitterPerPort=false] Create an IR emitter entity for each IR port instead of the device IR
+   *        emitter entity with all ports.
+   * @param {GcConnectionSettings} [connection] Connection settings of the device.
+   * @param {string} [productFamily] Product family reported by the device, e.g. `GC-100` or `iTach`. Independent of
+   *        the friendly name, which can be changed by the user.
+   * @param {boolean} [keepDeviceEmitter=false] Keep the device IR emitter entity with all ports and port groups if
+   *        `emitterPerPort` is enabled.
    */
-  constructor(id, name, address, irPorts = []) {
+  constructor(
+    id,
+    name,
+    address,
+    irPorts = [],
+    portGroups = {},
+    emitterPerPort = false,
+    connection = new GcConnectionSettings(),
+    productFamily = undefined,
+    keepDeviceEmitter = false
+  ) {
     this.id = id;
     this.name = name;
     this.address = address;
     this.irPorts = irPorts;
+    this.portGroups = portGroups;
+    this.emitterPerPort = emitterPerPort;
+    this.connection = connection;
+    this.productFamily = productFamily;
+    this.keepDeviceEmitter = keepDeviceEmitter;
+  }
+
+  /**
+   * Check if the device is a GC-100, which has fewer capabilities than newer devices: no TCP keep-alive, only one TCP
+   * connection and a lower IR repeat count limit.
+   * @return {boolean}
+   */
+  get isGc100() {
+    return this.productFamily === "GC-100";
   }
 
   get host() {
@@ -58,7 +104,14 @@ class GcDevice {
     return this.#entityIds;
   }
 
-  entities() {
+  /**
+   * Create the entities of the device.
+   *
+   * @param {boolean} [deviceEmitterInUse=false] the device IR emitter entity is in use, e.g. configured on the Remote.
+   *        It's kept if `emitterPerPort` is enabled.
+   * @return {Array<uc.Entities.Entity>}
+   */
+  entities(deviceEmitterInUse = false) {
     const entities = [];
 
     let emitterEntity;
@@ -85,24 +138,67 @@ class GcDevice {
             );
           }
           irOutputPorts.push({ id: `${port.module}:${port.port}`, name: port.name });
+          if (this.emitterPerPort) {
+            const portEmitter = new uc.Entities.Entity(
+              this._idForPort(port),
+              this.name + " " + port.name,
+              "ir_emitter",
+              [],
+              new Map([[uc.Entities.Remote.ATTRIBUTES.STATE, uc.Entities.Remote.STATES.UNKNOWN]]),
+              undefined,
+              null,
+              undefined
+            );
+            portEmitter.options = {
+              ports: [{ id: `${port.module}:${port.port}`, name: port.name }],
+              ir_formats: IR_FORMATS
+            };
+            entities.push(portEmitter);
+          }
+          break;
+        }
+        case RELAY_PORT_MODE: {
+          const relay = new uc.Entities.Switch(
+            this._idForPort(port),
+            this.name + " " + port.name,
+            [uc.Entities.Switch.FEATURES.ON_OFF, uc.Entities.Switch.FEATURES.TOGGLE],
+            new Map([[uc.Entities.Switch.ATTRIBUTES.STATE, uc.Entities.Switch.STATES.UNKNOWN]]),
+            uc.Entities.Switch.DEVICECLASSES.SWITCH,
+            { [uc.Entities.Switch.OPTIONS.READABLE]: true }
+          );
+          entities.push(relay);
+          break;
+        }
+        case IrPortMode.SENSOR:
+        case IrPortMode.SENSOR_NOTIFY: {
+          // binary contact closure sensor: value is updated with the port state
+          const sensor = new uc.Entities.Sensor(
+            this._idForPort(port),
+            this.name + " " + port.name,
+            new Map([
+              [uc.Entities.Sensor.ATTRIBUTES.STATE, uc.Entities.Sensor.STATES.UNKNOWN],
+              [uc.Entities.Sensor.ATTRIBUTES.VALUE, ""]
+            ]),
+            uc.Entities.Sensor.DEVICECLASSES.CUSTOM
+          );
+          entities.push(sensor);
+          break;
+        }
+        case IrPortMode.SERIAL: {
+          // there's no serial entity type: the remote entity's send_cmd is used to send serial commands
+          const serial = new uc.Entities.Entity(
+            this._idForPort(port),
+            this.name + " " + port.name,
+            "remote",
+            [uc.Entities.Remote.FEATURES.SEND_CMD],
+            new Map([[uc.Entities.Remote.ATTRIBUTES.STATE, uc.Entities.Remote.STATES.UNKNOWN]]),
+            undefined,
+            null,
+            undefined
+          );
+          entities.push(serial);
           break;
         }
-        // case IrPortMode.SENSOR:
-        // case IrPortMode.SENSOR_NOTIFY: { // TODO is SENSOR_NOTIFY pollable?
-        //   const sensor = new uc.Entities.Sensor(
-        //     this._idForPort(port),
-        //     this.name + " " + port.name,
-        //     new Map([
-        //       [uc.Entities.Sensor.ATTRIBUTES.STATE, uc.Entities.Sensor.STATES.ON],
-        //       [uc.Entities.Sensor.ATTRIBUTES.VALUE, "TODO polling with getstate"]
-        //     ])
-        //   );
-        //   entities.push(sensor);
-        //   break;
-        // }
-        // case IrPortMode.SERIAL:
-        //   // TODO
-        //   break;
         // case IrPortMode.RECEIVER:
         //   // TODO
         //   break;
@@ -114,10 +210,15 @@ class GcDevice {
       }
     }
 
-    if (emitterEntity) {
+    // The device IR emitter is replaced by the per-port emitters, unless it's in use or explicitly kept: it's required to
+    // address multiple ports or port groups.
+    if (emitterEntity && (!this.emitterPerPort || this.keepDeviceEmitter || deviceEmitterInUse)) {
       const options = {};
+      for (const group of Object.keys(this.portGroups || {})) {
+        irOutputPorts.push({ id: group, name: group });
+      }
       options.ports = irOutputPorts;
-      options.ir_formats = ["PRONTO"]; // "SENDIR" not yet supported by the core
+      options.ir_formats = IR_FORMATS;
       emitterEntity.options = options;
       entities.push(emitterEntity);
     }
@@ -139,24 +240,111 @@ class GcDevice {
   }
 }
 
+class GcConnectionSettings {
+  /**
+   * Connection settings of a device.
+   *
+   * After a connection loss, the connection is re-established with an exponential backoff: the reconnect delay starts
+   * with `reconnectDelay` and is doubled after each failed attempt, up to `reconnectMaxDelay`.
+   *
+   * @param {Object} [settings] settings object, e.g. from the configuration file.
+   * @param {number} [settings.sendTimeout=1000] request timeout in milliseconds.
+   * @param {number} [settings.reconnectDelay=1000] initial reconnect delay in milliseconds.
+   * @param {number} [settings.reconnectMaxDelay=30000] maximum reconnect delay in milliseconds.
+   * @param {boolean} [settings.tcpKeepAlive] enable TCP keep-alive. Default: enabled, except for GC-100 devices.
+   * @param {number} [settings.tcpKeepAliveInitialDelay=10000] TCP keep-alive initial delay in milliseconds.
+   * @param {boolean} [settings.connectOnDemand=false] only connect when a command is sent, instead of keeping the
+   *        connection open.
+   * @param {number} [settings.idleTimeout=10000] idle time in milliseconds after the last command, until the
+   *        connection is closed in connect on demand mode.
+   * @param {number} [settings.irCmdGap] minimal gap in milliseconds between two IR codes on the same port. Default: the
+   *        value of environment variable `UC_GC_IR_CMD_GAP`, or no gap.
+   * @param {number} [settings.heartbeatInterval=30000] heartbeat interval in milliseconds while connected.
+   */
+  constructor({
+    sendTimeout = 1000,
+    reconnectDelay = 1000,
+    reconnectMaxDelay = 30000,
+    tcpKeepAlive,
+    tcpKeepAliveInitialDelay = 10000,
+    connectOnDemand = false,
+    idleTimeout = 10000,
+    irCmdGap,
+    heartbeatInterval = 30000
+  } = {}) {
+    this.sendTimeout = sendTimeout;
+    this.reconnectDelay = reconnectDelay;
+    this.reconnectMaxDelay = reconnectMaxDelay;
+    this.tcpKeepAlive = tcpKeepAlive;
+    this.tcpKeepAliveInitialDelay = tcpKeepAliveInitialDelay;
+    this.connectOnDemand = connectOnDemand;
+    this.idleTimeout = idleTimeout;
+    this.irCmdGap = irCmdGap;
+    this.heartbeatInterval = heartbeatInterval;
+  }
+}
+
+class GcSerialSettings {
+  /**
+   * Serial port settings of a `SERIAL` port.
+   *
+   * The `baudRate`, `flowControl` and `parity` settings are applied with `set_SERIAL` when connecting to the device.
+   * The device settings are left as is, if `baudRate` is not set.
+   *
+   * @param {Object} [settings] settings object, e.g. from the configuration file.
+   * @param {number} [settings.baudRate] baud rate, e.g. 9600.
+   * @param {string} [settings.flowControl="FLOW_NONE"] `FLOW_NONE` or `FLOW_HARDWARE`.
+   * @param {string} [settings.parity="PARITY_NO"] `PARITY_NO`, `PARITY_ODD` or `PARITY_EVEN`.
+   * @param {string} [settings.lineEnding="\\r"] line ending appended to each command. Supports escape sequences.
+   * @param {string} [settings.responseTerminator=""] wait for a response ending with the given terminator. Supports
+   *        escape sequences. The response is not awaited if empty.
+   */
+  constructor({
+    baudRate,
+    flowControl = "FLOW_NONE",
+    parity = "PARITY_NO",
+    lineEnding = "\\r",
+    responseTerminator = ""
+  } = {}) {
+    this.baudRate = baudRate;
+    this.flowControl = flowControl;
+    this.parity = parity;
+    this.lineEnding = lineEnding;
+    this.responseTerminator = responseTerminator;
+  }
+}
+
 class GcIrPort {
   module;
   port;
   mode;
+  serial;
+  label;
 
   /**
    * Constructs a new GcIrPort object.
    * @param {number} module
    * @param {number} port
    * @param {string} mode
+   * @param {GcSerialSettings} [serial] serial settings, only used for `SERIAL` ports.
+   * @param {string} [label] friendly name of the port, e.g. the name of the connected device: "Living room TV".
    */
-  constructor(module, port, mode) {
+  constructor(module, port, mode, serial, label) {
     this.module = module;
     this.port = port;
     this.mode = mode;
+    this.serial = serial;
+    this.label = label;
   }
 
+  /**
+   * Port name: the friendly name if set, otherwise the connector address and mode, e.g. `1:3 IR`.
+   * @return {string}
+   */
   get name() {
+    if (this.label) {
+      return this.label;
+    }
     return `${this.module}:${this.port} ${this.mode}`;
   }
 }
@@ -166,10 +354,13 @@ class GcIrPort {
  */
 class Devices {
   #config = [];
+  /** the one-time migration of IP address based device identifiers has been run, see {@link markIdMigrationDone} */
+  #idMigrationDone = true;
   #dataPath;
   #cfgFilePath;
   #addHandler;
   #removeHandler;
+  #updateHandler;
 
   /**
    * Return the configuration path.
@@ -179,19 +370,39 @@ class Devices {
     return this.#dataPath;
   }
 
+  /**
+   * Check if the one-time migration of IP address based device identifiers to beacon UUIDs has been run.
+   *
+   * Only configuration files of earlier versions require the migration.
+   * @return {boolean}
+   */
+  get idMigrationDone() {
+    return this.#idMigrationDone;
+  }
+
+  /**
+   * Persist that the one-time migration of device identifiers has been run.
+   */
+  markIdMigrationDone() {
+    this.#idMigrationDone = true;
+    this.store();
+  }
+
   /**
    * Initialize devices from configuration file.
    *
    * @param {string} dataPath Configuration path for the configuration file.
    * @param {function(GcDevice)} addHandler Handler for added devices.
    * @param {function(GcDevice)} removeHandler Handler for removed devices.
+   * @param {function(GcDevice)} [updateHandler] Handler for updated devices.
    * @return true if configuration could be loaded, false otherwise.
    */
-  init(dataPath, addHandler, removeHandler) {
+  init(dataPath, addHandler, removeHandler, updateHandler) {
     this.#dataPath = dataPath;
     this.#cfgFilePath = path.join(dataPath, CFG_FILENAME);
     this.#addHandler = addHandler;
     this.#removeHandler = removeHandler;
+    this.#updateHandler = updateHandler;
     return this.load();
   }
 
@@ -244,8 +455,12 @@ class Devices {
   update(device) {
     const index = this.#config.findIndex((item) => item.id === device.id);
     if (index !== -1) {
-      this.#config[index] = { ...this.#config[index], ...device };
+      // keep the existing GcDevice instance, it's referenced by the device connection
+      Object.assign(this.#config[index], device);
       this.store();
+      if (this.#updateHandler) {
+        this.#updateHandler(this.#config[index]);
+      }
       return true;
     }
     return false;
@@ -273,6 +488,7 @@ class Devices {
    */
   clear() {
     this.#config = [];
+    this.#idMigrationDone = true;
     if (fs.existsSync(this.#cfgFilePath)) {
       fs.unlink(this.#cfgFilePath, (e) => {
         if (e) {
@@ -291,7 +507,8 @@ class Devices {
    */
   store() {
     try {
-      fs.writeFileSync(this.#cfgFilePath, JSON.stringify(this.#config), "utf-8");
+      const json = { devices: this.#config, idMigrationDone: this.#idMigrationDone };
+      fs.writeFileSync(this.#cfgFilePath, JSON.stringify(json), "utf-8");
       return true;
     } catch (err) {
       log.error("Cannot write the config file:", err);
@@ -307,25 +524,52 @@ class Devices {
     if (!fs.existsSync(this.#cfgFilePath)) {
       log.info("No configuration file found, using empty configuration.");
       this.#config.length = 0;
+      this.#idMigrationDone = true;
       return false;
     }
     try {
       const json = JSON.parse(fs.readFileSync(this.#cfgFilePath, "utf8"));
+      // earlier versions only stored the device array
+      const items = Array.isArray(json) ? json : (json.devices ?? []);
+      this.#idMigrationDone = !Array.isArray(json) && json.idMigrationDone === true;
       if (log.debug.enabled) {
-        for (const configItem of json) {
+        for (const configItem of items) {
           log.debug("Config entry: %s", JSON.stringify(configItem));
         }
       }
-      this.#config = json.map((item) => {
+      this.#config = items.map((item) => {
         const irPorts = [];
         if (item.irPorts !== undefined && item.irPorts instanceof Array) {
           item.irPorts.forEach((port) => {
             if (port.module && port.port && port.mode) {
-              irPorts.push(new GcIrPort(port.module, port.port, port.mode));
+              const serial = port.serial ? new GcSerialSettings(port.serial) : undefined;
+              const label = typeof port.label === "string" && port.label.trim() ? port.label.trim() : undefined;
+              irPorts.push(new GcIrPort(port.module, port.port, port.mode, serial, label));
             }
           });
         }
-        return new GcDevice(item.id, item.name, item.address, irPorts);
+        const portGroups = {};
+        if (item.portGroups && typeof item.portGroups === "object") {
+          for (const [group, ports] of Object.entries(item.portGroups)) {
+            if (Array.isArray(ports)) {
+              portGroups[group] = ports.map((port) => String(port));
+            }
+          }
+        }
+        const connection = new GcConnectionSettings(item.connection);
+        // configurations of earlier versions don't have a product family, but the name is not yet user defined
+        const productFamily = item.productFamily ?? (item.name?.startsWith("GC-100") ? "GC-100" : undefined);
+        return new GcDevice(
+          item.id,
+          item.name,
+          item.address,
+          irPorts,
+          portGroups,
+          item.emitterPerPort === true,
+          connection,
+          productFamily,
+          item.keepDeviceEmitter === true
+        );
       });
       return true;
     } catch (err) {
@@ -337,4 +581,4 @@ class Devices {
 
 const devices = new Devices();
 
-export { GcDevice, GcIrPort, devices };
+export { GcConnectionSettings, GcDevice, GcIrPort, GcSerialSettings, RELAY_PORT_MODE, devices };
@@ -5,27 +5,135 @@
  * @license Mozilla Public License Version 2.0, see LICENSE for more details.
  */
 import { UnifiedClient } from "gc-unified-lib";
+import { IrPortMode } from "gc-unified-lib/src/models.js";
 import EventEmitter from "events";
-import { convertProntoToGlobalCache } from "./util.js";
+import { GcConnectionSettings, GcSerialSettings, RELAY_PORT_MODE } from "./config.js";
+import { SerialClient, serialTcpPort } from "./serial.js";
+import { IrSendQueue } from "./ir_queue.js";
+import { encodeIrProtocol } from "./ir_protocols.js";
+import {
+  convertIrSignalToGlobalCache,
+  convertProntoToGlobalCache,
+  decodeSerialData,
+  ErrorType,
+  errorTypeFromMessage,
+  normalizeGlobalCacheIr,
+  parseStateMessage,
+  sendIrDuration
+} from "./util.js";
 import { log } from "./loggers.js";
 
+/**
+ * Polling interval in milliseconds of `SENSOR` ports without state change notifications.
+ * @type {number}
+ */
+const SENSOR_POLL_INTERVAL = 1000;
+
+/**
+ * Default minimal gap in milliseconds between two IR codes on the same port, if not set in the connection settings.
+ * Can be set with environment variable `UC_GC_IR_CMD_GAP`, default is no gap.
+ * @type {number}
+ */
+const IR_CMD_GAP = parseInt(process.env.UC_GC_IR_CMD_GAP || "0", 10);
+
+/**
+ * Additional time in milliseconds to wait for the `completeir` message after the calculated IR transmission time.
+ * @type {number}
+ */
+const COMPLETE_IR_MARGIN = 1000;
+
+/**
+ * Maximum IR repeat count of iTach, Flex and Global Connect devices. Also used for IR codes sent in hold mode.
+ * @type {number}
+ */
+const MAX_REPEAT = 50;
+
+/**
+ * Maximum IR repeat count of GC-100 devices.
+ * @type {number}
+ */
+const GC100_MAX_REPEAT = 31;
+
+/**
+ * Safety timeout in milliseconds after the last hold refresh: the IR transmission is stopped if no refresh or release
+ * is received within this time.
+ * @type {number}
+ */
+const HOLD_TIMEOUT = 1500;
+
+/**
+ * Default timeout in milliseconds to wait for a captured IR code in IR learning mode.
+ * @type {number}
+ */
+const LEARN_TIMEOUT = 20000;
+
+/**
+ * Request timeout in milliseconds in connect on demand mode, including the connection time.
+ * @type {number}
+ */
+const ON_DEMAND_REQUEST_TIMEOUT = 3000;
+
+/**
+ * Number of consecutive failed heartbeats until the connection is considered dead and is re-established.
+ * @type {number}
+ */
+const HEARTBEAT_FAIL_THRESHOLD = 3;
+
 const DEVICE_STATES = {
+  /** Initial connection is being established. */
+  CONNECTING: "CONNECTING",
   ONLINE: "ONLINE",
+  /** Not connected in connect on demand mode: the connection is established when sending a command. */
   IDLE: "IDLE",
+  /** Connection was lost and is being re-established. */
+  RECONNECTING: "RECONNECTING",
+  /** Device doesn't respond on an established connection. */
+  ERROR: "ERROR",
   OFFLINE: "OFFLINE"
 };
 
 const DEVICE_EVENTS = {
-  STATE_CHANGED: "STATE_CHANGED"
+  STATE_CHANGED: "STATE_CHANGED",
+  PORT_STATE_CHANGED: "PORT_STATE_CHANGED"
 };
 
 class GlobalCacheDevice extends EventEmitter {
   #cfg;
-  #client = new UnifiedClient({ sendTimeout: 1000 });
+  /** @type {GcConnectionSettings} */
+  #settings;
+  #client;
+  /** address of the current or last connection */
+  #address;
   #connected = false;
-  #lastSendIrPort = "";
-  #lastSendIr = "";
+  #state = DEVICE_STATES.OFFLINE;
+  /** true if the connection should be kept open, false after an explicit disconnect */
+  #reconnect = false;
+  #reconnectTimer;
+  #reconnectAttempts = 0;
+  #idleTimer;
+  #pendingRequests = 0;
+  #heartbeatTimer;
+  #heartbeatPending = false;
+  #heartbeatFailures = 0;
+  /** @type {number|undefined} round trip time of the last successful heartbeat */
+  #latency;
+  /** @type {Map<string, {sendIr: string, id: number}>} last sent IR code and ID per port */
+  #lastSendIr = new Map();
   #irId = 1;
+  /** @type {IrSendQueue} */
+  #irQueue;
+  /** @type {Map<string, function(string)>} pending `completeir` handlers by `module:port,ID` */
+  #completeIrHandlers = new Map();
+  /** @type {Map<string, {sendIr: string, timer: NodeJS.Timeout}>} active IR hold transmissions by port */
+  #irHolds = new Map();
+  /** @type {Map<string, number>} */
+  #portStates = new Map();
+  #pollTimer;
+  #polling = false;
+  /** @type {Map<string, SerialClient>} */
+  #serialClients = new Map();
+  /** @type {function(string)|undefined} */
+  #learnHandler;
 
   /**
    *
@@ -34,39 +142,252 @@ class GlobalCacheDevice extends EventEmitter {
   constructor(deviceCfg) {
     super();
     this.#cfg = deviceCfg;
+    this.#settings = deviceCfg.connection || new GcConnectionSettings();
+    this.#client = new UnifiedClient({ sendTimeout: this.#settings.sendTimeout });
+    this.#irQueue = new IrSendQueue(this.#transmitIr.bind(this), { gap: this.#settings.irCmdGap ?? IR_CMD_GAP });
 
     this.#client.on("connect", this.#onConnected.bind(this));
     this.#client.on("close", this.#onClosed.bind(this));
     this.#client.on("error", this.#onError.bind(this));
+    // unsolicited messages, e.g. state change notifications of SENSOR_NOTIFY ports
+    this.#client.on("message", this.#onMessage.bind(this));
   }
 
   get connected() {
     return this.#client.connected;
   }
 
+  /**
+   * Current device state.
+   * @return {string} see {@link DEVICE_STATES}
+   */
+  get state() {
+    return this.#state;
+  }
+
+  /**
+   * Check if commands can be sent: the device is connected, or it's connected on demand when sending a command.
+   * @return {boolean}
+   */
+  get available() {
+    return this.#client.connected || this.#settings.connectOnDemand;
+  }
+
+  /**
+   * Connection settings used by this device connection. Changed settings require a new device instance.
+   * @return {GcConnectionSettings}
+   */
+  get connectionSettings() {
+    return this.#settings;
+  }
+
+  /**
+   * Round trip time of the last successful heartbeat request.
+   * @return {number|undefined} latency in milliseconds, undefined if not connected or not yet measured.
+   */
+  get latency() {
+    return this.#latency;
+  }
+
+  /**
+   * Address of the current or last connection. Differs from the device configuration if the address was changed.
+   * @return {string|undefined} address, undefined if not yet connected.
+   */
+  get address() {
+    return this.#address;
+  }
+
+  /**
+   * Connect to the device and keep the connection open. The connection is automatically re-established if it's lost.
+   *
+   * Ignored in connect on demand mode: the connection is only established when sending a command.
+   */
   connect() {
+    if (this.#settings.connectOnDemand) {
+      if (!this.#client.connected) {
+        this.#setDeviceState(DEVICE_STATES.IDLE);
+      }
+      return;
+    }
+    this.#connect();
+  }
+
+  #connect() {
     if (this.#client.connected) {
       return;
     }
     if (!["stopped", "failed"].some((state) => this.#client.state === state)) {
       return;
     }
+    this.#cancelReconnect();
 
-    const tcpKeepAlive = !this.#cfg.name.startsWith("GC-100");
+    const tcpKeepAlive = this.#settings.tcpKeepAlive ?? !this.#cfg.isGc100;
     log.debug("[%s] start connection to %s (keepAlive=%s)", this.#cfg.id, this.#cfg.address, tcpKeepAlive);
+    this.#reconnect = true;
+    this.#address = this.#cfg.address;
+    this.#setDeviceState(this.#reconnectAttempts > 0 ? DEVICE_STATES.RECONNECTING : DEVICE_STATES.CONNECTING);
+    // reconnection is handled by the device to support a configurable backoff
     this.#client.connect({
       host: this.#cfg.host,
       port: this.#cfg.port,
-      reconnect: true,
+      reconnect: false,
       tcpKeepAlive,
-      tcpKeepAliveInitialDelay: 10000
+      tcpKeepAliveInitialDelay: this.#settings.tcpKeepAliveInitialDelay
+    });
+  }
+
+  #scheduleReconnect() {
+    if (!this.#reconnect || this.#settings.connectOnDemand || this.#reconnectTimer) {
+      return;
+    }
+
+    const delay = Math.min(
+      this.#settings.reconnectDelay * 2 ** this.#reconnectAttempts,
+      this.#settings.reconnectMaxDelay
+    );
+    this.#reconnectAttempts += 1;
+    log.debug("[%s] reconnecting in %d ms (attempt %d)", this.#cfg.id, delay, this.#reconnectAttempts);
+    this.#reconnectTimer = setTimeout(() => {
+      this.#reconnectTimer = undefined;
+      this.#connect();
+    }, delay);
+  }
+
+  #cancelReconnect() {
+    if (this.#reconnectTimer) {
+      clearTimeout(this.#reconnectTimer);
+      this.#reconnectTimer = undefined;
+    }
+  }
+
+  /**
+   * Connect to the device and wait until the connection is established.
+   *
+   * @param {number} timeout timeout in milliseconds.
+   * @return {Promise<void, Error>} resolves when connected, rejects if the connection failed or was not established
+   *         within the timeout.
+   */
+  async ensureConnected(timeout) {
+    if (this.#client.connected) {
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      const finish = (err) => {
+        clearTimeout(timer);
+        this.removeListener(DEVICE_EVENTS.STATE_CHANGED, onStateChanged);
+        this.#client.removeListener("error", onError);
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      };
+      const onStateChanged = (data) => {
+        if (data.state === DEVICE_STATES.ONLINE) {
+          finish();
+        }
+      };
+      const onError = (err) => finish(err instanceof Error ? err : new Error(err));
+      const timer = setTimeout(() => finish(new Error(`Timeout connecting to ${this.#cfg.address}`)), timeout);
+
+      this.on(DEVICE_EVENTS.STATE_CHANGED, onStateChanged);
+      this.#client.on("error", onError);
+      this.#connect();
     });
   }
 
+  /**
+   * Re-establish the connection with the current address of the device configuration, e.g. after it was changed.
+   *
+   * A disconnected device is not connected. In connect on demand mode, the next command connects to the new address.
+   */
+  reconnect() {
+    if (this.#client.connected) {
+      log.info("[%s] reconnecting to %s", this.#cfg.id, this.#cfg.address);
+      this.#stopHeartbeat();
+      this.#stopIdleTimer();
+      this.#reconnectAttempts = 0;
+      // the connection is re-established with the close event
+      this.#client.close({ reconnect: false });
+    } else if (this.#reconnectTimer) {
+      // don't wait for the backoff delay of the old address
+      this.#reconnectAttempts = 0;
+      this.#connect();
+    }
+  }
+
   disconnect() {
     log.debug("[%s] disconnecting", this.#cfg.id);
     this.#connected = false;
+    this.#reconnect = false;
+    this.#reconnectAttempts = 0;
+    this.#cancelReconnect();
+    this.#stopIdleTimer();
+    this.#stopHeartbeat();
+    this.#clearIrHolds();
+    this.#irQueue.clear();
     this.#client.close({ reconnect: false });
+    this.#serialClients.forEach((client) => client.close());
+    this.#serialClients.clear();
+  }
+
+  /**
+   * Send a request to the device. In connect on demand mode, the connection is established first and closed again
+   * after the idle timeout. The connection time is part of the request timeout.
+   *
+   * @param {string} data request message
+   * @return {Promise<string, Error>} response message from device
+   */
+  async #request(data) {
+    this.#pendingRequests += 1;
+    let timer;
+    try {
+      if (!this.#settings.connectOnDemand || this.#client.connected) {
+        return await this.#client.send(data);
+      }
+
+      const deadline = Date.now() + ON_DEMAND_REQUEST_TIMEOUT;
+      await this.ensureConnected(ON_DEMAND_REQUEST_TIMEOUT);
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(
+          () => reject(new Error(`Timeout sending request to ${this.#cfg.address}`)),
+          Math.max(deadline - Date.now(), 0)
+        );
+      });
+      return await Promise.race([this.#client.send(data), timeout]);
+    } finally {
+      clearTimeout(timer);
+      this.#pendingRequests -= 1;
+      this.#startIdleTimer();
+    }
+  }
+
+  #startIdleTimer() {
+    if (!this.#settings.connectOnDemand) {
+      return;
+    }
+    this.#stopIdleTimer();
+    this.#idleTimer = setTimeout(() => {
+      this.#idleTimer = undefined;
+      // keep the connection while requests are pending, an IR code is held, or IR learning is active
+      if (this.#pendingRequests > 0 || this.#irHolds.size > 0 || this.#learnHandler) {
+        this.#startIdleTimer();
+        return;
+      }
+      if (this.#client.connected) {
+        log.debug("[%s] closing idle connection", this.#cfg.id);
+        this.#reconnect = false;
+        this.#client.close({ reconnect: false });
+      }
+    }, this.#settings.idleTimeout);
+  }
+
+  #stopIdleTimer() {
+    if (this.#idleTimer) {
+      clearTimeout(this.#idleTimer);
+      this.#idleTimer = undefined;
+    }
   }
 
   /**
@@ -77,8 +398,8 @@ class GlobalCacheDevice extends EventEmitter {
    *         the device responded with an error message.
    */
   async send(data) {
-    this.#lastSendIr = "";
-    return this.#client.send(data);
+    this.#lastSendIr.clear();
+    return this.#request(data);
   }
 
   /**
@@ -93,38 +414,540 @@ class GlobalCacheDevice extends EventEmitter {
    */
   async sendPronto(port, pronto, repeat) {
     const sendIr = convertProntoToGlobalCache(pronto, repeat > 0 ? repeat : 1);
-    if (this.#lastSendIrPort !== port || this.#lastSendIr !== sendIr) {
-      this.#lastSendIrPort = port;
-      this.#lastSendIr = sendIr;
-      this.#irId += 1;
-      if (this.#irId > 65535) {
-        this.#irId = 1;
+    return this.#sendIr(port, sendIr);
+  }
+
+  /**
+   * Send a native Global Caché IR code. The code is assigned an ID, depending on if it's a new or a repeated code.
+   *
+   * @param {string} port output port
+   * @param {string} sendIr `sendir` body: `frequency,repeat,offset,on1,off1,...`
+   * @param {number} [repeat] number of repeats, overrides the repeat count of the code. Limited to the maximum repeat
+   *        count of the device.
+   * @return {Promise<string, Error>} response message from device, or an Error in case of a communication error or if
+   *         the device responded with an error message, or if the code is invalid.
+   */
+  async sendIr(port, sendIr, repeat) {
+    return this.#sendIr(port, normalizeGlobalCacheIr(sendIr, repeat, this.#maxRepeat));
+  }
+
+  /**
+   * Send an IR code of a known IR protocol. The code is encoded and sent as `sendir` message.
+   *
+   * @param {string} port output port
+   * @param {string} protocol IR protocol name, see {@link IR_PROTOCOLS}.
+   * @param {number} device device number
+   * @param {number|undefined} subdevice subdevice number, protocol default if undefined or -1.
+   * @param {number} func function number
+   * @param {number} [repeat] number of repeats
+   * @return {Promise<string, Error>} response message from device, or an Error in case of a communication error or if
+   *         the device responded with an error message, or if the protocol parameters are invalid.
+   */
+  async sendIrProtocol(port, protocol, device, subdevice, func, repeat) {
+    const signal = encodeIrProtocol(protocol, device, subdevice, func);
+    return this.#sendIr(port, convertIrSignalToGlobalCache(signal, repeat > 0 ? repeat : 1));
+  }
+
+  /**
+   * Start or refresh an IR transmission in hold mode, e.g. for a pressed volume button.
+   *
+   * The code is sent with a high repeat count. Sending the same code again while it's still being transmitted refreshes
+   * the transmission: the device continues repeating a code with the same ID. The transmission is stopped with
+   * {@link stopIr}, or automatically if it's not refreshed within the safety timeout.
+   *
+   * The IR send queue is bypassed, since a hold transmission doesn't complete until released. Queued codes of the port
+   * are dropped and a transmission in progress is stopped first: the device would reject the hold code as busy.
+   *
+   * @param {string} port output port
+   * @param {string} sendIr `sendir` body: `frequency,repeat,offset,on1,off1,...`. The repeat count is replaced.
+   * @return {Promise<void, Error>} resolves when the request has been sent. Rejects if the code is invalid.
+   */
+  async holdIr(port, sendIr) {
+    const fields = normalizeGlobalCacheIr(sendIr, this.#maxRepeat);
+    const hold = this.#irHolds.get(port);
+    if (hold) {
+      clearTimeout(hold.timer);
+      if (hold.sendIr !== fields) {
+        this.#irHolds.delete(port);
+        await this.stopIr(port);
+      }
+    } else if (this.#irQueue.busy(port)) {
+      log.debug("[%s] stopping queued IR codes on port %s for IR hold", this.#cfg.id, port);
+      this.#irQueue.clear(port);
+      await this.stopIr(port);
+    }
+
+    this.#irHolds.set(port, {
+      sendIr: fields,
+      timer: setTimeout(() => {
+        log.warn("[%s] no IR hold release received for port %s, stopping transmission", this.#cfg.id, port);
+        this.stopIr(port).catch((e) => log.warn("[%s] failed to stop IR on port %s: %s", this.#cfg.id, port, e));
+      }, HOLD_TIMEOUT)
+    });
+
+    let last = this.#lastSendIr.get(port);
+    if (last?.sendIr !== fields) {
+      last = { sendIr: fields, id: this.#nextIrId() };
+      this.#lastSendIr.set(port, last);
+    }
+
+    // Don't wait for completeir, the response is only received after all repeats or when stopped.
+    this.#request(`sendir,${port},${last.id},${fields}`).catch((e) => {
+      if (errorTypeFromMessage(e?.message ?? e) !== ErrorType.TIMEOUT) {
+        log.warn("[%s] IR hold on port %s failed: %s", this.#cfg.id, port, e);
       }
+    });
+  }
+
+  /**
+   * Stop the current IR transmission on the given port, including a hold transmission.
+   *
+   * @param {string} port output port
+   * @return {Promise<string, Error>} response message from device
+   */
+  async stopIr(port) {
+    const hold = this.#irHolds.get(port);
+    if (hold) {
+      clearTimeout(hold.timer);
+      this.#irHolds.delete(port);
     }
-    const msg = `sendir,${port},${this.#irId},${sendIr}`;
-    return this.#client.send(msg);
+    // a stopped code must get a new ID when sent again
+    this.#lastSendIr.delete(port);
+    return this.#request(`stopir,${port}`);
   }
 
-  #onConnected() {
-    this.#connected = true;
-    log.info("[%s] connected", this.#cfg.id);
+  #nextIrId() {
+    this.#irId += 1;
+    if (this.#irId > 65535) {
+      this.#irId = 1;
+    }
+    return this.#irId;
+  }
+
+  #clearIrHolds() {
+    this.#irHolds.forEach((hold) => clearTimeout(hold.timer));
+    this.#irHolds.clear();
+  }
+
+  async #sendIr(port, sendIr) {
+    const fields = sendIr.split(",");
+    if (parseInt(fields[1], 10) > this.#maxRepeat) {
+      log.debug("[%s] limiting IR repeat count %s to %d", this.#cfg.id, fields[1], this.#maxRepeat);
+      fields[1] = String(this.#maxRepeat);
+    }
+    return this.#irQueue.send(port, fields.join(","));
+  }
+
+  /**
+   * Maximum IR repeat count supported by the device model.
+   * @return {number}
+   */
+  get #maxRepeat() {
+    return this.#cfg.isGc100 ? GC100_MAX_REPEAT : MAX_REPEAT;
+  }
+
+  /**
+   * Transmit an IR code and wait until the device completed the transmission.
+   *
+   * Called by the IR send queue, which makes sure that only one code is transmitted at a time per port.
+   *
+   * @param {string} port output port
+   * @param {string} sendIr `sendir` body
+   * @return {Promise<string, Error>} `completeir` message
+   */
+  async #transmitIr(port, sendIr) {
+    // a repeated code on the same port keeps its ID, a new code gets the next ID
+    let last = this.#lastSendIr.get(port);
+    if (last?.sendIr !== sendIr) {
+      last = { sendIr, id: this.#nextIrId() };
+      this.#lastSendIr.set(port, last);
+    }
+    const key = `${port},${last.id}`;
+
+    // the completeir message might be received separately from the request response
+    let timer;
+    const completed = new Promise((resolve, reject) => {
+      const timeout = (sendIrDuration(sendIr) || 0) + COMPLETE_IR_MARGIN;
+      timer = setTimeout(() => reject(new Error(`Timeout waiting for completeir,${key}`)), timeout);
+      this.#completeIrHandlers.set(key, resolve);
+    });
+    // avoid unhandled rejection if the request itself fails
+    completed.catch(() => {});
+
+    try {
+      const response = await this.#request(`sendir,${key},${sendIr}`);
+      if (response?.startsWith("busyIR")) {
+        throw new Error(response);
+      }
+      if (response?.startsWith(`completeir,${key}`)) {
+        return response;
+      }
+      return await completed;
+    } finally {
+      clearTimeout(timer);
+      this.#completeIrHandlers.delete(key);
+    }
+  }
+
+  /**
+   * Set the mode of an IR module port with `set_IR`.
+   *
+   * The port configuration of the device configuration is not changed. Use {@link reloadPorts} after changing it.
+   *
+   * @param {string} port connector address `module:port`
+   * @param {string} mode new port mode, see `IrPortMode`.
+   * @return {Promise<string, Error>} port mode as reported by the device.
+   */
+  async setIrMode(port, mode) {
+    const response = await this.#request(`set_IR,${port},${mode}`);
+    // response: IR,<module>:<port>,<mode>
+    const match = /^IR,(\d+:\d+),(\w+)/.exec(response?.trim());
+    if (!match || match[1] !== port) {
+      throw new Error(`Unexpected set_IR response: ${response}`);
+    }
+    return match[2];
+  }
+
+  /**
+   * Apply a changed port configuration of the connected device: retrieve the state of relay and sensor ports and
+   * restart sensor polling.
+   */
+  reloadPorts() {
+    this.#portStates.clear();
+    if (!this.#client.connected) {
+      return;
+    }
+    this.#initPorts();
+  }
+
+  /**
+   * Get the last known state of a relay or sensor port without sending a request.
+   *
+   * @param {string} port connector address `module:port`
+   * @return {number|undefined} port state: 0 = open / off, 1 = closed / on, undefined if not known.
+   */
+  portState(port) {
+    return this.#portStates.get(port);
+  }
+
+  /**
+   * Get the current state of a relay or sensor port.
+   *
+   * @param {string} port connector address `module:port`
+   * @return {Promise<number, Error>} port state: 0 = open / off, 1 = closed / on
+   */
+  async getState(port) {
+    const response = await this.#request(`getstate,${port}`);
+    return this.#stateFromResponse(port, response);
+  }
+
+  /**
+   * Set the state of a relay port.
+   *
+   * @param {string} port connector address `module:port`
+   * @param {boolean} closed true to close the relay contact, false to open it.
+   * @return {Promise<number, Error>} new port state as reported by the device: 0 = open, 1 = closed
+   */
+  async setState(port, closed) {
+    const response = await this.#request(`setstate,${port},${closed ? 1 : 0}`);
+    const state = this.#stateFromResponse(port, response);
+    this.#updatePortState(port, state);
+    return state;
+  }
+
+  /**
+   * Send a command to a serial port using the raw TCP socket of the serial module.
+   *
+   * The configured line ending is appended to the command. If a response terminator is configured, the response is
+   * awaited and returned.
+   *
+   * @param {string} port connector address `module:port` of the serial port.
+   * @param {string} command serial command. Supports escape sequences, see {@link decodeSerialData}.
+   * @return {Promise<string|undefined, Error>} response from the serial device if a response terminator is configured.
+   */
+  async sendSerial(port, command) {
+    const serialPort = this.#cfg.irPorts.find((p) => p.mode === IrPortMode.SERIAL && `${p.module}:${p.port}` === port);
+    if (!serialPort) {
+      throw new Error(`Invalid serial port ${port}`);
+    }
+    const settings = serialPort.serial || new GcSerialSettings();
+
+    let client = this.#serialClients.get(port);
+    if (!client) {
+      client = new SerialClient(this.#cfg.host, serialTcpPort(serialPort.module));
+      this.#serialClients.set(port, client);
+    }
+
+    const data = Buffer.concat([decodeSerialData(command), decodeSerialData(settings.lineEnding)]);
+    const terminator = decodeSerialData(settings.responseTerminator);
+    const response = await client.send(data, terminator);
+    if (response !== undefined) {
+      log.debug("[%s] serial response from %s: %s", this.#cfg.id, port, JSON.stringify(response));
+    }
+    return response;
+  }
+
+  /**
+   * Enable IR learning mode and wait for a captured IR code.
+   *
+   * The IR learner is disabled again after a code has been captured or when the timeout expires.
+   *
+   * @param {number} [timeout] timeout in milliseconds to wait for the captured code.
+   * @return {Promise<string, Error>} captured code in `sendir` format, or an Error if the device doesn't support IR
+   *         learning, or no code was captured within the timeout.
+   */
+  async learnIr(timeout = LEARN_TIMEOUT) {
+    if (this.#learnHandler) {
+      throw new Error("IR learning already in progress");
+    }
+
+    const response = await this.#request("get_IRL");
+    if (!/IR Learner Enabled/i.test(response)) {
+      throw new Error(`IR learner not available: ${response}`);
+    }
+
+    log.debug("[%s] IR learner enabled, waiting %d ms for IR code", this.#cfg.id, timeout);
+    try {
+      return await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error("Timeout waiting for learned IR code")), timeout);
+        this.#learnHandler = (sendIr) => {
+          clearTimeout(timer);
+          resolve(sendIr);
+        };
+      });
+    } finally {
+      this.#learnHandler = undefined;
+      this.#request("stop_IRL").catch((reason) => {
+        log.warn("[%s] failed to disable IR learner: %s", this.#cfg.id, reason);
+      });
+    }
+  }
+
+  /**
+   * Apply the configured serial port settings with `set_SERIAL`.
+   */
+  async #applySerialSettings() {
+    for (const port of this.#cfg.irPorts) {
+      if (port.mode !== IrPortMode.SERIAL || !port.serial?.baudRate) {
+        continue;
+      }
+      const { baudRate, flowControl, parity } = port.serial;
+      try {
+        await this.#request(`set_SERIAL,${port.module}:${port.port},${baudRate},${flowControl},${parity}`);
+      } catch (e) {
+        log.warn("[%s] failed to set serial settings of port %s: %s", this.#cfg.id, port.name, e);
+      }
+    }
+  }
+
+  #stateFromResponse(port, response) {
+    const result = parseStateMessage(response);
+    if (result === undefined || result.port !== port) {
+      throw new Error(`Invalid state response for port ${port}: ${response}`);
+    }
+    return result.state;
+  }
+
+  /**
+   * Get the configured ports with the given port modes.
+   * @param {Array<string>} modes port modes
+   * @return {Array<string>} connector addresses `module:port`
+   */
+  #portsWithMode(modes) {
+    return this.#cfg.irPorts.filter((port) => modes.includes(port.mode)).map((port) => `${port.module}:${port.port}`);
+  }
+
+  /**
+   * Retrieve the current state of the given ports and emit a port state change event for each changed port.
+   * @param {Array<string>} ports connector addresses `module:port`
+   */
+  async #pollPortStates(ports) {
+    for (const port of ports) {
+      if (!this.#client.connected) {
+        return;
+      }
+      try {
+        this.#updatePortState(port, await this.getState(port));
+      } catch (e) {
+        log.warn("[%s] failed to get state of port %s: %s", this.#cfg.id, port, e);
+      }
+    }
+  }
+
+  #startSensorPolling() {
+    this.#stopSensorPolling();
+    // the connection is only open while sending commands in connect on demand mode
+    if (this.#settings.connectOnDemand) {
+      return;
+    }
+    const sensorPorts = this.#portsWithMode([IrPortMode.SENSOR]);
+    if (sensorPorts.length === 0) {
+      return;
+    }
+
+    this.#pollTimer = setInterval(async () => {
+      // skip interval if the previous poll is still running
+      if (this.#polling) {
+        return;
+      }
+      this.#polling = true;
+      try {
+        await this.#pollPortStates(sensorPorts);
+      } finally {
+        this.#polling = false;
+      }
+    }, SENSOR_POLL_INTERVAL);
+  }
+
+  #stopSensorPolling() {
+    if (this.#pollTimer) {
+      clearInterval(this.#pollTimer);
+      this.#pollTimer = undefined;
+    }
+  }
+
+  #updatePortState(port, state) {
+    if (this.#portStates.get(port) === state) {
+      return;
+    }
+    this.#portStates.set(port, state);
+    this.emit(DEVICE_EVENTS.PORT_STATE_CHANGED, {
+      id: this.#cfg.id,
+      port,
+      state
+    });
+  }
+
+  /**
+   * Start the periodic heartbeat. The heartbeat detects half-dead connections, e.g. of GC-100 devices without TCP
+   * keep-alive support, which otherwise look online until a request fails.
+   */
+  #startHeartbeat() {
+    this.#stopHeartbeat();
+    this.#heartbeatFailures = 0;
+    this.#heartbeatTimer = setInterval(() => this.#heartbeat(), this.#settings.heartbeatInterval);
+  }
+
+  #stopHeartbeat() {
+    if (this.#heartbeatTimer) {
+      clearInterval(this.#heartbeatTimer);
+      this.#heartbeatTimer = undefined;
+    }
+  }
+
+  async #heartbeat() {
+    if (this.#heartbeatPending || !this.#client.connected) {
+      return;
+    }
+    this.#heartbeatPending = true;
+    const start = Date.now();
+    try {
+      await this.#client.send("getversion");
+      this.#heartbeatFailures = 0;
+      this.#latency = Date.now() - start;
+      log.debug("[%s] heartbeat latency: %d ms", this.#cfg.id, this.#latency);
+    } catch (e) {
+      this.#heartbeatFailures += 1;
+      log.warn("[%s] heartbeat failed (%d/%d): %s", this.#cfg.id, this.#heartbeatFailures, HEARTBEAT_FAIL_THRESHOLD, e);
+      if (this.#heartbeatFailures >= HEARTBEAT_FAIL_THRESHOLD) {
+        this.#restartConnection();
+      }
+    } finally {
+      this.#heartbeatPending = false;
+    }
+  }
+
+  #restartConnection() {
+    log.warn("[%s] device is not responding, reconnecting", this.#cfg.id);
+    this.#stopHeartbeat();
+    this.#setDeviceState(DEVICE_STATES.ERROR);
+    // close the dead socket, the connection is re-established with the close event
+    this.#client.close({ reconnect: false });
+  }
+
+  #setDeviceState(state) {
+    this.#state = state;
     this.emit(DEVICE_EVENTS.STATE_CHANGED, {
       id: this.#cfg.id,
-      state: DEVICE_STATES.ONLINE
+      state
     });
   }
 
+  #onConnected() {
+    this.#connected = true;
+    this.#reconnectAttempts = 0;
+    log.info("[%s] connected", this.#cfg.id);
+    this.#setDeviceState(DEVICE_STATES.ONLINE);
+
+    if (this.#settings.connectOnDemand) {
+      this.#startIdleTimer();
+    } else {
+      this.#startHeartbeat();
+    }
+    this.#initPorts();
+  }
+
+  #initPorts() {
+    // initial state of all relay & sensor ports, SENSOR_NOTIFY ports send state changes afterwards
+    const statePorts = this.#portsWithMode([RELAY_PORT_MODE, IrPortMode.SENSOR, IrPortMode.SENSOR_NOTIFY]);
+    this.#applySerialSettings()
+      .then(() => this.#pollPortStates(statePorts))
+      .finally(() => this.#startSensorPolling());
+  }
+
   #onClosed() {
+    this.#stopHeartbeat();
+    this.#stopSensorPolling();
+    this.#clearIrHolds();
+    // don't replay queued IR codes in a burst after reconnecting
+    this.#irQueue.clear();
+    this.#portStates.clear();
     this.#connected = false;
+    this.#latency = undefined;
     log.info("[%s] disconnected", this.#cfg.id);
-    this.emit(DEVICE_EVENTS.STATE_CHANGED, {
-      id: this.#cfg.id,
-      state: DEVICE_STATES.OFFLINE
-    });
+    let state;
+    if (this.#settings.connectOnDemand) {
+      // commands can still be sent, the connection is re-established on demand
+      this.#stopIdleTimer();
+      state = DEVICE_STATES.IDLE;
+    } else if (!this.#reconnect) {
+      state = DEVICE_STATES.OFFLINE;
+    } else if (this.#state === DEVICE_STATES.ERROR) {
+      // keep the error visible until the reconnect attempt starts, which sets the RECONNECTING state
+      state = DEVICE_STATES.ERROR;
+    } else {
+      state = DEVICE_STATES.RECONNECTING;
+    }
+    this.#setDeviceState(state);
+    this.#scheduleReconnect();
+  }
+
+  #onMessage(msg) {
+    if (this.#learnHandler && msg?.startsWith("sendir,")) {
+      this.#learnHandler(msg.trim());
+      return;
+    }
+    const completeIr = /^completeir,(\d+:\d+),(\d+)/.exec(msg?.trim());
+    if (completeIr) {
+      this.#completeIrHandlers.get(`${completeIr[1]},${completeIr[2]}`)?.(msg.trim());
+      return;
+    }
+    const result = parseStateMessage(msg);
+    if (result) {
+      this.#updatePortState(result.port, result.state);
+    }
   }
 
   #onError(err) {
     log.error("[%s] communication error:", this.#cfg.id, err);
+    // a failed connection attempt might not emit a close event
+    if (!this.#client.connected) {
+      if (this.#settings.connectOnDemand) {
+        // the next command tries to connect again
+        this.#setDeviceState(DEVICE_STATES.IDLE);
+      }
+      this.#scheduleReconnect();
+    }
   }
 }
 
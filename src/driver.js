@@ -9,10 +9,23 @@
 
 import uc from "uc-integration-api";
 import i18n from "i18n";
+import net from "net";
 import path from "path";
 import * as config from "./config.js";
 import { DEVICE_EVENTS, DEVICE_STATES, GlobalCacheDevice } from "./device.js";
-import { driverSetupHandler } from "./setup_flow.js";
+import { BEACON_EVENTS, BeaconListener } from "./beacon.js";
+import { EntitySubscriptions } from "./subscriptions.js";
+import { driverSetupHandler, setDriverCallbacks } from "./setup_flow.js";
+import { encodeIrProtocol, parseIrProtocolCode } from "./ir_protocols.js";
+import {
+  convertIrSignalToGlobalCache,
+  convertProntoToGlobalCache,
+  decodeSerialData,
+  ErrorType,
+  errorTypeFromMessage,
+  normalizeGlobalCacheIr,
+  resolveIrPorts
+} from "./util.js";
 import { log } from "./loggers.js";
 
 // Node.js 20.11 / 21.2
@@ -25,16 +38,35 @@ i18n.configure({
   objectNotation: true
 });
 
+/**
+ * Optional command deadline in milliseconds: commands are acknowledged after the deadline without waiting for the
+ * device response. Disabled if not set or 0.
+ * @type {number}
+ */
+const CMD_DEADLINE = parseInt(process.env.UC_GC_CMD_DEADLINE || "0", 10);
+
+/**
+ * Track address changes of configured devices with the device discovery beacons. Enabled by default.
+ * @type {boolean}
+ */
+const BEACON_TRACKING = process.env.UC_GC_BEACON_TRACKING !== "false";
+
 /**
  * Configured GC devices.
  * @type {Map<string, GlobalCacheDevice>}
  */
 const configuredDevices = new Map();
 
+/**
+ * Subscribed entities per device.
+ * @type {EntitySubscriptions}
+ */
+const subscriptions = new EntitySubscriptions();
+
 uc.on(uc.EVENTS.CONNECT, async () => {
   await uc.setDeviceState(uc.DEVICE_STATES.CONNECTED);
 
-  configuredDevices.forEach((configured) => configured.connect());
+  _connectSubscribedDevices();
 });
 
 uc.on(uc.EVENTS.DISCONNECT, async () => {
@@ -52,41 +84,68 @@ uc.on(uc.EVENTS.ENTER_STANDBY, async () => {
 uc.on(uc.EVENTS.EXIT_STANDBY, async () => {
   log.debug("Came back from standby. Getting state updates.");
 
-  configuredDevices.forEach((configured) => configured.connect());
+  _connectSubscribedDevices();
 });
 
+/**
+ * Connect all configured devices with at least one subscribed entity.
+ * @private
+ */
+function _connectSubscribedDevices() {
+  configuredDevices.forEach((configured, deviceId) => {
+    if (subscriptions.has(deviceId)) {
+      configured.connect();
+    }
+  });
+}
+
 uc.on(uc.EVENTS.SUBSCRIBE_ENTITIES, async (entityIds) => {
   for (const index in entityIds) {
     const entityId = entityIds[index];
     const entity = uc.configuredEntities.getEntity(entityId);
     if (entity) {
       log.debug(`Subscribe: ${entityId}`);
+      _subscribeEntity(entityId);
+    }
+  }
+});
 
-      const deviceId = _deviceIdFromEntityId(entityId);
-      if (deviceId === undefined) {
-        continue;
-      }
+/**
+ * Track a subscribed entity, connect its device and push the current state to the entity.
+ *
+ * @param {string} entityId identifier of a configured entity.
+ * @private
+ */
+function _subscribeEntity(entityId) {
+  const deviceId = _deviceIdFromEntityId(entityId);
+  if (deviceId === undefined) {
+    return;
+  }
 
-      const device = configuredDevices.get(deviceId);
-      if (device !== undefined) {
-        device.connect();
-      } else {
-        const configured = config.devices.get(deviceId);
-        if (configured !== undefined) {
-          _addConfiguredDevice(configured);
-        }
-      }
+  subscriptions.subscribe(deviceId, entityId);
 
-      // TODO get latest state and update entity attributes?
+  const device = configuredDevices.get(deviceId);
+  if (device !== undefined) {
+    device.connect();
+  } else {
+    const configured = config.devices.get(deviceId);
+    if (configured !== undefined) {
+      _addConfiguredDevice(configured);
     }
   }
-});
+
+  _pushEntityState(entityId);
+}
 
 uc.on(uc.EVENTS.UNSUBSCRIBE_ENTITIES, async (entityIds) => {
   entityIds.forEach((entityId) => {
     log.debug(`Unsubscribe: ${entityId}`);
-    // TODO anything to do in unsubscribe?
-    // we could check if all entities of a device are unsubscribed and then disconnect the device
+    const deviceId = _deviceIdFromEntityId(entityId);
+    // disconnect devices without any subscribed entities, they are reconnected with the next subscription
+    if (deviceId !== undefined && subscriptions.unsubscribe(deviceId, entityId)) {
+      log.info("[%s] all entities unsubscribed, disconnecting device", deviceId);
+      configuredDevices.get(deviceId)?.disconnect();
+    }
   });
 });
 
@@ -109,32 +168,406 @@ async function cmdHandler(entity, cmdId, params) {
   if (!device) {
     return uc.STATUS_CODES.SERVICE_NOT_FOUND;
   }
-  if (entity.entity_type === "ir_emitter") {
-    switch (cmdId) {
-      case "send_ir":
-        if (params.format && params.format !== "PRONTO") {
-          return uc.STATUS_CODES.BAD_REQUEST;
-        }
-        device.sendPronto(params.port || "1:1", params.code, params.repeat).catch((reason) => {
-          // TODO improve error handling. An invalid request should return BAD_REQUEST
-          //      Verify UI & core implementation: can we delay the cmd ack, or does it prevent IR-repeat?
-          log.error("send_ir command failed: %s", reason);
-        });
-        break;
-      case "stop_ir":
-        device.send(`stopir,${params?.port || "1:1"}`).catch((reason) => {
-          log.error("stopir command failed: %s", reason);
-        });
-        break;
-      default:
-        // invalid command
+  switch (entity.entity_type) {
+    case "ir_emitter": {
+      // an emitter entity of a single port always uses its own port
+      const port = _portFromEntityId(entity.id);
+      const irParams = port ? { ...params, port } : params;
+      return await _irEmitterCmdHandler(device, cmdId, irParams, config.devices.get(deviceId)?.portGroups);
+    }
+    case "switch":
+      return await _relayCmdHandler(device, entity, cmdId);
+    case "remote":
+      return await _serialCmdHandler(device, entity, cmdId, params);
+    default:
+      return uc.STATUS_CODES.BAD_REQUEST;
+  }
+}
+
+/**
+ * IR emitter entity command handler.
+ *
+ * The `port` parameter can be a single output port, a list of ports or a configured port group. The command is sent
+ * to all ports and the first failure status is returned.
+ *
+ * @param {GlobalCacheDevice} device the device of the IR emitter.
+ * @param {string} cmdId command
+ * @param {Object<string, *>} params command parameters
+ * @param {Object<string, Array<string>>} [portGroups] configured port groups of the device
+ * @return {Promise<string>} status of the command
+ * @private
+ */
+async function _irEmitterCmdHandler(device, cmdId, params, portGroups) {
+  let ports;
+  try {
+    ports = resolveIrPorts(params?.port, portGroups);
+  } catch (e) {
+    log.warn("Invalid %s port: %s", cmdId, e.message);
+    return uc.STATUS_CODES.BAD_REQUEST;
+  }
+
+  switch (cmdId) {
+    case "send_ir": {
+      const format = params?.format || "PRONTO";
+      let sendIrCode;
+      try {
+        sendIrCode = _irCodeToGlobalCache(format, params);
+      } catch (e) {
+        log.warn("Invalid send_ir %s code: %s", format, e.message);
         return uc.STATUS_CODES.BAD_REQUEST;
+      }
+      if (!device.available) {
+        return uc.STATUS_CODES.SERVICE_UNAVAILABLE;
+      }
+      if (params.hold === true || params.hold === "true") {
+        // press & hold: start or refresh the transmission, it's stopped with stop_ir on release
+        return await _portsRequestStatus(cmdId, ports, (port) => device.holdIr(port, sendIrCode));
+      }
+      const sendIr = (port) => {
+        switch (format) {
+          case "PRONTO":
+            return device.sendPronto(port, params.code, params.repeat);
+          case "SENDIR":
+            return device.sendIr(port, params.code, params.repeat);
+          default: {
+            const code = _irProtocolCode(params);
+            return device.sendIrProtocol(port, format, code.device, code.subdevice, code.function, params.repeat);
+          }
+        }
+      };
+      return await _portsRequestStatus(cmdId, ports, sendIr);
     }
-  } else {
+    case "stop_ir":
+      if (!device.available) {
+        return uc.STATUS_CODES.SERVICE_UNAVAILABLE;
+      }
+      return await _portsRequestStatus(cmdId, ports, (port) => device.stopIr(port));
+    default:
+      // invalid command
+      return uc.STATUS_CODES.BAD_REQUEST;
+  }
+}
+
+/**
+ * Send a request to multiple ports simultaneously and aggregate the command status.
+ *
+ * @param {string} cmdId command for logging
+ * @param {Array<string>} ports output ports
+ * @param {function(string): Promise<*>} request device request for a single port
+ * @return {Promise<string>} `OK` if the request succeeded on all ports, otherwise the status of the first failed port.
+ * @private
+ */
+async function _portsRequestStatus(cmdId, ports, request) {
+  const results = await Promise.all(ports.map((port) => _requestStatus(`${cmdId} ${port}`, request(port))));
+  return results.find((status) => status !== uc.STATUS_CODES.OK) ?? uc.STATUS_CODES.OK;
+}
+
+/**
+ * Convert the IR code of a `send_ir` command to a `sendir` body. Used to validate the code before sending it.
+ *
+ * @param {string} format IR code format: PRONTO, SENDIR or an IR protocol name
+ * @param {Object<string, *>} params send_ir command parameters
+ * @return {string} `sendir` body: `frequency,repeat,offset,on1,off1,...`
+ * @throws Error if the format is not supported or the code is invalid
+ * @private
+ */
+function _irCodeToGlobalCache(format, params) {
+  const repeat = params.repeat > 0 ? params.repeat : 1;
+  switch (format) {
+    case "PRONTO":
+      return convertProntoToGlobalCache(params.code, repeat);
+    case "SENDIR":
+      return normalizeGlobalCacheIr(params.code, params.repeat);
+    default: {
+      const code = _irProtocolCode(params);
+      return convertIrSignalToGlobalCache(encodeIrProtocol(format, code.device, code.subdevice, code.function), repeat);
+    }
+  }
+}
+
+/**
+ * Wait for the result of a device request and map it to a command status code.
+ *
+ * If a command deadline is configured with `UC_GC_CMD_DEADLINE` and the request takes longer, `OK` is returned after
+ * the deadline without waiting for the device response. This prevents blocking IR repeat on slow connections.
+ * A later failure is only logged.
+ *
+ * @param {string} cmdId command for logging
+ * @param {Promise<*>} request device request
+ * @return {Promise<string>} status of the command
+ * @private
+ */
+async function _requestStatus(cmdId, request) {
+  const result = request.then(
+    () => uc.STATUS_CODES.OK,
+    (reason) => {
+      log.error("%s command failed: %s", cmdId, reason);
+      return _statusFromError(reason);
+    }
+  );
+
+  if (!(CMD_DEADLINE > 0)) {
+    return await result;
+  }
+
+  let timer;
+  const deadline = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      log.debug("%s command: no response within %d ms deadline", cmdId, CMD_DEADLINE);
+      resolve(uc.STATUS_CODES.OK);
+    }, CMD_DEADLINE);
+  });
+  try {
+    return await Promise.race([result, deadline]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Map a device request error to a command status code.
+ *
+ * @param {Error|string} error request error
+ * @return {string} status code
+ * @private
+ */
+function _statusFromError(error) {
+  switch (errorTypeFromMessage(error?.message ?? error)) {
+    case ErrorType.INVALID_REQUEST:
+      return uc.STATUS_CODES.BAD_REQUEST;
+    case ErrorType.BUSY:
+    case ErrorType.NOT_CONNECTED:
+      return uc.STATUS_CODES.SERVICE_UNAVAILABLE;
+    case ErrorType.TIMEOUT:
+      return uc.STATUS_CODES.TIMEOUT;
+    default:
+      return uc.STATUS_CODES.SERVER_ERROR;
+  }
+}
+
+/**
+ * Get the protocol parameters of a `send_ir` command with an IR protocol format.
+ *
+ * The parameters are either provided in the `device`, `subdevice` and `function` fields, or in the `code` field as
+ * `device,[subdevice,]function` string.
+ *
+ * @param {Object<string, *>} params send_ir command parameters
+ * @return {{device: number, subdevice: number|undefined, function: number}}
+ * @throws Error if the parameters are invalid
+ * @private
+ */
+function _irProtocolCode(params) {
+  if (params.device !== undefined && params.function !== undefined) {
+    return {
+      device: Number(params.device),
+      subdevice: params.subdevice === undefined ? undefined : Number(params.subdevice),
+      function: Number(params.function)
+    };
+  }
+  return parseIrProtocolCode(params.code);
+}
+
+/**
+ * Switch entity command handler for relay ports.
+ *
+ * @param {GlobalCacheDevice} device the device of the relay port.
+ * @param {uc.Entities.Entity} entity switch entity
+ * @param {string} cmdId command
+ * @return {Promise<string>} status of the command
+ * @private
+ */
+async function _relayCmdHandler(device, entity, cmdId) {
+  const port = _portFromEntityId(entity.id);
+  if (!port) {
+    return uc.STATUS_CODES.BAD_REQUEST;
+  }
+
+  let closed;
+  switch (cmdId) {
+    case uc.Entities.Switch.COMMANDS.ON:
+      closed = true;
+      break;
+    case uc.Entities.Switch.COMMANDS.OFF:
+      closed = false;
+      break;
+    case uc.Entities.Switch.COMMANDS.TOGGLE:
+      closed = entity.attributes?.state !== uc.Entities.Switch.STATES.ON;
+      break;
+    default:
+      return uc.STATUS_CODES.BAD_REQUEST;
+  }
+
+  if (!device.available) {
+    return uc.STATUS_CODES.SERVICE_UNAVAILABLE;
+  }
+
+  // entity state is updated with the port state change event
+  return await _requestStatus(cmdId, device.setState(port, closed));
+}
+
+/**
+ * Remote entity command handler for serial ports.
+ *
+ * Serial commands are sent with `send_cmd` or `send_cmd_sequence`.
+ *
+ * @param {GlobalCacheDevice} device the device of the serial port.
+ * @param {uc.Entities.Entity} entity remote entity
+ * @param {string} cmdId command
+ * @param {Object<string, *>} params command parameters
+ * @return {Promise<string>} status of the command
+ * @private
+ */
+async function _serialCmdHandler(device, entity, cmdId, params) {
+  const port = _portFromEntityId(entity.id);
+  if (!port) {
+    return uc.STATUS_CODES.BAD_REQUEST;
+  }
+
+  let commands;
+  switch (cmdId) {
+    case uc.Entities.Remote.COMMANDS.SEND_CMD:
+      commands = [params?.command];
+      break;
+    case uc.Entities.Remote.COMMANDS.SEND_CMD_SEQUENCE:
+      commands = params?.sequence;
+      break;
+    default:
+      return uc.STATUS_CODES.BAD_REQUEST;
+  }
+
+  if (!Array.isArray(commands) || commands.length === 0 || commands.some((cmd) => typeof cmd !== "string")) {
+    return uc.STATUS_CODES.BAD_REQUEST;
+  }
+  try {
+    commands.forEach((command) => decodeSerialData(command));
+  } catch (e) {
+    log.warn("[%s] invalid serial command: %s", entity.id, e.message);
     return uc.STATUS_CODES.BAD_REQUEST;
   }
 
-  return uc.STATUS_CODES.OK;
+  const sendCommands = async () => {
+    for (const command of commands) {
+      await device.sendSerial(port, command);
+    }
+  };
+  return await _requestStatus(cmdId, sendCommands());
+}
+
+/**
+ * Map a device state to the entity state.
+ *
+ * @param {string} deviceState device state, see {@link DEVICE_STATES}.
+ * @return {string|undefined} entity state, undefined for an unknown device state.
+ * @private
+ */
+function _entityStateFromDeviceState(deviceState) {
+  switch (deviceState) {
+    case DEVICE_STATES.ONLINE:
+    case DEVICE_STATES.IDLE:
+      // idle devices are connected on demand
+      return "ON";
+    case DEVICE_STATES.CONNECTING:
+      // hack: UNKNOWN is a common state for all entity types
+      return uc.Entities.Sensor.STATES.UNKNOWN;
+    case DEVICE_STATES.RECONNECTING:
+    case DEVICE_STATES.ERROR:
+    case DEVICE_STATES.OFFLINE:
+      // hack: UNAVAILABLE is a common state for all entity types
+      return uc.Entities.Sensor.STATES.UNAVAILABLE;
+    default:
+      log.warn("Unhandled device state:", deviceState);
+      return undefined;
+  }
+}
+
+/**
+ * Update the state attribute of a configured entity from the device state.
+ *
+ * @param {string} entityId entity identifier
+ * @param {string} deviceState device state, see {@link DEVICE_STATES}.
+ * @private
+ */
+function _updateEntityState(entityId, deviceState) {
+  const entity = uc.configuredEntities.getEntity(entityId);
+  const newState = _entityStateFromDeviceState(deviceState);
+  if (!entity || newState === undefined) {
+    return;
+  }
+
+  // relay switches reflect the real contact state, which is retrieved with the port state change event
+  if (newState === "ON" && entity.entity_type === "switch") {
+    return;
+  }
+
+  if (entity.attributes?.state === newState) {
+    return;
+  }
+
+  uc.configuredEntities.updateEntityAttributes(
+    entityId,
+    // hack: state key string is always the same, independent of entity type
+    new Map([[uc.Entities.Sensor.ATTRIBUTES.STATE, newState]])
+  );
+}
+
+/**
+ * Push the current state of a device to a configured entity, e.g. right after subscribing the entity.
+ *
+ * @param {string} entityId entity identifier
+ * @private
+ */
+function _pushEntityState(entityId) {
+  const deviceId = _deviceIdFromEntityId(entityId);
+  const device = configuredDevices.get(deviceId);
+  if (!device) {
+    return;
+  }
+
+  _updateEntityState(entityId, device.state);
+
+  const port = _portFromEntityId(entityId);
+  const portState = port ? device.portState(port) : undefined;
+  if (portState !== undefined) {
+    _updatePortEntity(deviceId, port, portState);
+  }
+}
+
+/**
+ * Update the entity of a relay or sensor port with the new port state.
+ *
+ * @param {string} deviceId device identifier
+ * @param {string} port connector address `module:port`
+ * @param {number} state port state: 0 = open / off, 1 = closed / on
+ * @private
+ */
+function _updatePortEntity(deviceId, port, state) {
+  const entityId = `${deviceId}:${port.replace(":", "_")}`;
+  const entity = uc.configuredEntities.getEntity(entityId);
+  if (!entity) {
+    return;
+  }
+
+  switch (entity.entity_type) {
+    case "switch":
+      uc.configuredEntities.updateEntityAttributes(
+        entityId,
+        new Map([
+          [uc.Entities.Switch.ATTRIBUTES.STATE, state ? uc.Entities.Switch.STATES.ON : uc.Entities.Switch.STATES.OFF]
+        ])
+      );
+      break;
+    case "sensor":
+      uc.configuredEntities.updateEntityAttributes(
+        entityId,
+        new Map([
+          [uc.Entities.Sensor.ATTRIBUTES.STATE, uc.Entities.Sensor.STATES.ON],
+          [uc.Entities.Sensor.ATTRIBUTES.VALUE, state ? "on" : "off"]
+        ])
+      );
+      break;
+    default:
+      log.debug("[%s] ignoring port state change of %s entity", entityId, entity.entity_type);
+  }
 }
 
 function _deviceIdFromEntityId(entityId) {
@@ -146,6 +579,23 @@ function _deviceIdFromEntityId(entityId) {
   return undefined;
 }
 
+/**
+ * Get the connector address `module:port` from a port entity identifier.
+ *
+ * Example: `GC100_000C1E01A875_GlobalCache:3_1` returns `3:1`
+ * @param {string} entityId entity identifier created with `GcDevice._idForPort`.
+ * @return {string|undefined} connector address, undefined if it's not a port entity.
+ * @private
+ */
+function _portFromEntityId(entityId) {
+  const match = /:(\d+)_(\d+)$/.exec(entityId);
+  if (match) {
+    return `${match[1]}:${match[2]}`;
+  }
+
+  return undefined;
+}
+
 /**
  * Add the given Global Caché device to the configured devices and register all provided entities.
  *
@@ -170,37 +620,13 @@ function _addConfiguredDevice(device, connect = true) {
         return;
       }
 
-      let newState;
-      switch (data.state) {
-        case DEVICE_STATES.ONLINE:
-          newState = "ON";
-          break;
-        case DEVICE_STATES.OFFLINE:
-          // hack: UNAVAILABLE is a common state for all entity types
-          newState = uc.Entities.Sensor.STATES.UNAVAILABLE;
-          break;
-        default:
-          log.warn("Unhandled device state event:", data.state);
-          return;
+      for (const entityId of configured.entityIds()) {
+        _updateEntityState(entityId, data.state);
       }
+    });
 
-      const entityIds = configured.entityIds();
-      for (const entityId of entityIds) {
-        const entity = uc.configuredEntities.getEntity(entityId);
-        if (!entity) {
-          continue;
-        }
-
-        if (entity?.attributes?.state === newState) {
-          continue;
-        }
-
-        uc.configuredEntities.updateEntityAttributes(
-          entityId,
-          // hack: state key string is always the same, independent of entity type
-          new Map([[uc.Entities.Sensor.ATTRIBUTES.STATE, newState]])
-        );
-      }
+    client.on(DEVICE_EVENTS.PORT_STATE_CHANGED, (data) => {
+      _updatePortEntity(data.id, data.port, data.state);
     });
 
     configuredDevices.set(device.id, client);
@@ -222,7 +648,10 @@ function _addConfiguredDevice(device, connect = true) {
  * @private
  */
 function _registerAvailableEntities(device) {
-  const entities = device.entities();
+  // existing activities and subscriptions of the device IR emitter keep working if per-port emitters are enabled
+  const emitterId = device._idForIR();
+  const emitterInUse = uc.configuredEntities.contains(emitterId) || subscriptions.isSubscribed(device.id, emitterId);
+  const entities = device.entities(emitterInUse);
 
   for (const entity of entities) {
     if (uc.availableEntities.contains(entity.id)) {
@@ -244,6 +673,85 @@ function onDeviceAdded(device) {
   _addConfiguredDevice(device, false);
 }
 
+/**
+ * Handle an updated device in the configuration.
+ *
+ * The entities are recreated, since the port configuration might have changed. Entities of removed ports are removed,
+ * configured entities with a changed type, name or options are replaced. The device connection is re-established if
+ * the connection settings or the address changed.
+ * @param {GcDevice} device
+ */
+function onDeviceUpdated(device) {
+  log.debug("Device updated:", device);
+  const previousIds = [...device.entityIds()];
+  _registerAvailableEntities(device);
+
+  const entityIds = device.entityIds();
+  for (const entityId of previousIds) {
+    if (!entityIds.includes(entityId)) {
+      subscriptions.unsubscribe(device.id, entityId);
+      uc.configuredEntities.removeEntity(entityId);
+      uc.availableEntities.removeEntity(entityId);
+    }
+  }
+
+  // e.g. a port changed from IR to SENSOR keeps its entity identifier, or a port was renamed
+  for (const entityId of entityIds) {
+    const configuredEntity = uc.configuredEntities.getEntity(entityId);
+    const entity = uc.availableEntities.getEntity(entityId);
+    if (configuredEntity && entity && _entityDefinitionChanged(configuredEntity, entity)) {
+      log.info(
+        "[%s] replacing changed %s entity with %s entity",
+        entityId,
+        configuredEntity.entity_type,
+        entity.entity_type
+      );
+      uc.configuredEntities.removeEntity(entityId);
+      uc.configuredEntities.addEntity(entity);
+      if (subscriptions.isSubscribed(device.id, entityId)) {
+        _pushEntityState(entityId);
+      }
+    }
+  }
+
+  const configured = configuredDevices.get(device.id);
+  if (configured && configured.connectionSettings !== device.connection) {
+    // connection settings changed: a new device instance is required
+    log.info("[%s] connection settings changed, reconnecting", device.id);
+    configured.disconnect();
+    configured.removeAllListeners();
+    configuredDevices.delete(device.id);
+    // a disconnected device must be reconnected as well if it has subscribed entities, e.g. after a connection error
+    _addConfiguredDevice(device, subscriptions.has(device.id));
+    // the new device instance starts disconnected: the entities would otherwise keep showing the old state
+    for (const entityId of subscriptions.entityIds(device.id)) {
+      _pushEntityState(entityId);
+    }
+  } else if (configured && configured.address !== undefined && configured.address !== device.address) {
+    // the ports are reloaded when the new connection is established
+    log.info("[%s] address changed from %s to %s", device.id, configured.address, device.address);
+    configured.reconnect();
+  } else {
+    configured?.reloadPorts();
+  }
+}
+
+/**
+ * Check if the definition of an entity changed: entity type, name or options.
+ *
+ * @param {uc.Entities.Entity} previous previous entity.
+ * @param {uc.Entities.Entity} entity new entity.
+ * @return {boolean}
+ * @private
+ */
+function _entityDefinitionChanged(previous, entity) {
+  return (
+    previous.entity_type !== entity.entity_type ||
+    JSON.stringify(previous.name) !== JSON.stringify(entity.name) ||
+    JSON.stringify(previous.options) !== JSON.stringify(entity.options)
+  );
+}
+
 /**
  * Handle a removed device in the configuration.
  * @param {GcDevice} device
@@ -256,6 +764,7 @@ function onDeviceRemoved(device) {
       configured.removeAllListeners();
     });
     configuredDevices.clear();
+    subscriptions.clear();
     uc.configuredEntities.clear();
     uc.availableEntities.clear();
   } else if (configuredDevices.has(device.id)) {
@@ -265,6 +774,7 @@ function onDeviceRemoved(device) {
       return;
     }
     configuredDevices.delete(device.id);
+    subscriptions.remove(device.id);
     configured.disconnect();
     configured.removeAllListeners();
 
@@ -276,9 +786,83 @@ function onDeviceRemoved(device) {
   }
 }
 
+/**
+ * Handle a received device beacon: a configured device with a new IP address is updated in the configuration, which
+ * reconnects the device to the new address. A device configured with a hostname keeps its hostname.
+ *
+ * Device identifiers are not migrated here, see the one-time migration in the setup flow.
+ *
+ * @param {Map<string, string>} beacon beacon properties with the `address` of the sender.
+ * @private
+ */
+function _onBeacon(beacon) {
+  const uuid = beacon.get("UUID");
+  const host = beacon.get("address");
+  if (!host) {
+    return;
+  }
+
+  const device = config.devices.get(uuid);
+  // a hostname is resolved with each connection attempt and must not be replaced with the IP address
+  if (!device || !net.isIP(device.host) || device.host === host) {
+    return;
+  }
+
+  // keep a custom port number
+  const address = host + device.address.substring(device.host.length);
+  log.info("[%s] device address changed from %s to %s", device.id, device.address, address);
+  config.devices.update({ ...device, address });
+}
+
+/**
+ * Migrate the identifier of a configured device to a new identifier.
+ *
+ * The entity identifiers are derived from the device identifier: the entities of the old identifier are removed and
+ * the subscribed entities are replaced with the corresponding entities of the new identifier. If the device is already
+ * configured with the new identifier, e.g. added with discovery and manually, the old device is removed.
+ *
+ * @param {GcDevice} device configured device.
+ * @param {string} newId new device identifier.
+ * @private
+ */
+function _migrateDeviceId(device, newId) {
+  const oldId = device.id;
+  const entityIds = subscriptions.entityIds(oldId).map((entityId) => newId + entityId.substring(oldId.length));
+
+  if (config.devices.contains(newId)) {
+    log.info("[%s] removing duplicate configuration of device %s", oldId, newId);
+    config.devices.remove(oldId);
+    config.devices.store();
+  } else {
+    log.info("[%s] migrating device identifier to %s", oldId, newId);
+    config.devices.remove(oldId);
+    config.devices.addOrUpdate(
+      new config.GcDevice(
+        newId,
+        device.name,
+        device.address,
+        device.irPorts,
+        device.portGroups,
+        device.emitterPerPort,
+        device.connection,
+        device.productFamily,
+        device.keepDeviceEmitter
+      )
+    );
+  }
+
+  for (const entityId of entityIds) {
+    const entity = uc.availableEntities.getEntity(entityId);
+    if (entity) {
+      uc.configuredEntities.addEntity(entity);
+      _subscribeEntity(entityId);
+    }
+  }
+}
+
 async function main() {
   // load configured devices
-  config.devices.init(uc.configDirPath, onDeviceAdded, onDeviceRemoved);
+  config.devices.init(uc.configDirPath, onDeviceAdded, onDeviceRemoved, onDeviceUpdated);
 
   // Note: device will be moved to configured devices with the subscribe_events request!
   // This will also start the device connection.
@@ -286,8 +870,18 @@ async function main() {
     _addConfiguredDevice(device, false);
   });
 
+  setDriverCallbacks({
+    configuredDevice: (deviceId) => configuredDevices.get(deviceId),
+    migrateDeviceId: _migrateDeviceId
+  });
   uc.init("driver.json", driverSetupHandler);
 
+  if (BEACON_TRACKING) {
+    const beaconListener = new BeaconListener();
+    beaconListener.on(BEACON_EVENTS.BEACON, _onBeacon);
+    beaconListener.start();
+  }
+
   const info = uc.getDriverVersion();
   log.info("Global Caché integration %s started", info.version.driver);
 }
@@ -0,0 +1,281 @@
+/**
+ * Command line tool to import Global Caché IR code sets and convert them to a PRONTO code set for the Remote.
+ *
+ * Supported input files:
+ * - Global Caché iRDatabase JSON export: array of objects with `Function` and `Code1` or `HexCode1` fields.
+ * - CSV file with a function name and a code column. An optional header row is skipped.
+ * - iLearn text export: each code line is either prefixed with the function name (separated by a tab, `:` or `=`),
+ *   or preceded by a line with the function name.
+ *
+ * Codes can be in Global Caché `sendir` or PRONTO HEX format.
+ *
+ * Usage: `npm run import-codes -- <input file> [--output <file>] [--name <name>] [--normalize]`
+ *
+ * @copyright (c) 2024 by Unfolded Circle ApS.
+ * @license Mozilla Public License Version 2.0, see LICENSE for more details.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { convertGlobalCacheToPronto, convertProntoToGlobalCache } from "./util.js";
+
+/**
+ * Imported IR code.
+ * @typedef {Object} ImportedCode
+ * @property {string} name function name.
+ * @property {string} code IR code in `sendir` or PRONTO HEX format.
+ */
+
+const SENDIR_PATTERN = /^sendir\s*,/i;
+const PRONTO_PATTERN = /^[0-9a-f]{4}([ ,][0-9a-f]{4}){3,}$/i;
+
+/**
+ * Check if the given text is an IR code in `sendir` or PRONTO HEX format.
+ * @param {string} text
+ * @return {boolean}
+ */
+function isIrCode(text) {
+  return SENDIR_PATTERN.test(text) || PRONTO_PATTERN.test(text);
+}
+
+/**
+ * Split a CSV line into fields. Fields may be quoted with double quotes.
+ * @param {string} line CSV line
+ * @param {string} [separator=","] field separator
+ * @return {Array<string>}
+ */
+function splitCsvLine(line, separator = ",") {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === separator) {
+      fields.push(field.trim());
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Parse a Global Caché iRDatabase JSON export.
+ * @param {string} content file content
+ * @return {Array<ImportedCode>}
+ * @throws Error if the content is not a valid code set export
+ */
+function parseIrDatabaseJson(content) {
+  const json = JSON.parse(content);
+  const items = Array.isArray(json) ? json : json?.codes;
+  if (!Array.isArray(items)) {
+    throw new Error("Invalid iRDatabase export: expected an array of functions");
+  }
+
+  return items
+    .map((item) => ({
+      name: item.Function ?? item.function ?? item.name,
+      code: item.HexCode1 || item.Code1 || item.code
+    }))
+    .filter((item) => item.name && item.code);
+}
+
+/**
+ * Parse a CSV file with function name and code columns.
+ *
+ * The separator is detected from the first line: `;` or tab if present, `,` otherwise. Since `sendir` codes contain
+ * commas, unquoted fields after the function name are joined.
+ * @param {string} content file content
+ * @return {Array<ImportedCode>}
+ */
+function parseCsv(content) {
+  const lines = content.split(/\r?\n/).filter((line) => line.trim().length > 0);
+  if (lines.length === 0) {
+    return [];
+  }
+
+  let separator = ",";
+  if (lines[0].includes(";")) {
+    separator = ";";
+  } else if (lines[0].includes("\t")) {
+    separator = "\t";
+  }
+
+  const codes = [];
+  for (const line of lines) {
+    const fields = splitCsvLine(line, separator);
+    const name = fields.shift();
+    // code might be split in multiple fields if it's not quoted
+    const code = fields.find((field) => isIrCode(field)) ?? fields.join(",");
+    if (name && isIrCode(code)) {
+      codes.push({ name, code });
+    }
+  }
+  return codes;
+}
+
+/**
+ * Parse an iLearn text export.
+ * @param {string} content file content
+ * @return {Array<ImportedCode>}
+ */
+function parseText(content) {
+  const codes = [];
+  let name;
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (line.length === 0) {
+      continue;
+    }
+
+    if (isIrCode(line)) {
+      codes.push({ name: name || `CODE_${codes.length + 1}`, code: line });
+      name = undefined;
+      continue;
+    }
+
+    const match = /^([^\t:=]+)[\t:=]\s*(.+)$/.exec(line);
+    if (match && isIrCode(match[2].trim())) {
+      codes.push({ name: match[1].trim(), code: match[2].trim() });
+      name = undefined;
+    } else {
+      name = line;
+    }
+  }
+  return codes;
+}
+
+/**
+ * Parse an IR code set file. The format is selected by the file extension: `.json`, `.csv`, or text otherwise.
+ * @param {string} content file content
+ * @param {string} fileName file name
+ * @return {Array<ImportedCode>}
+ * @throws Error if the content is invalid
+ */
+function parseCodeFile(content, fileName) {
+  switch (path.extname(fileName).toLowerCase()) {
+    case ".json":
+      return parseIrDatabaseJson(content);
+    case ".csv":
+      return parseCsv(content);
+    default:
+      return parseText(content);
+  }
+}
+
+/**
+ * Convert a function name to a key name: upper case with underscores.
+ *
+ * Example: `Power On` returns `POWER_ON`
+ * @param {string} name function name
+ * @return {string}
+ */
+function toKeyName(name) {
+  return name
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+/**
+ * Convert imported IR codes to a PRONTO code set.
+ *
+ * Codes which cannot be converted are skipped and returned in the `errors` array.
+ * @param {Array<ImportedCode>} codes imported codes
+ * @param {string} name code set name
+ * @param {boolean} [normalize=false] normalize timings of `sendir` codes.
+ * @return {{codeSet: {name: string, codes: Array<{key: string, format: string, value: string}>}, errors: Array<string>}}
+ */
+function convertCodeSet(codes, name, normalize = false) {
+  const codeSet = { name, codes: [] };
+  const errors = [];
+  const keys = new Set();
+
+  for (const item of codes) {
+    let key = toKeyName(item.name);
+    if (keys.has(key)) {
+      let index = 2;
+      while (keys.has(`${key}_${index}`)) {
+        index++;
+      }
+      key = `${key}_${index}`;
+    }
+
+    try {
+      let value;
+      if (SENDIR_PATTERN.test(item.code)) {
+        value = convertGlobalCacheToPronto(item.code, normalize);
+      } else {
+        // validate PRONTO code
+        convertProntoToGlobalCache(item.code);
+        value = item.code.toUpperCase().replaceAll(",", " ");
+      }
+      keys.add(key);
+      codeSet.codes.push({ key, format: "PRONTO", value });
+    } catch (e) {
+      errors.push(`${item.name}: ${e.message}`);
+    }
+  }
+
+  return { codeSet, errors };
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      output: { type: "string", short: "o" },
+      name: { type: "string", short: "n" },
+      normalize: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false }
+    }
+  });
+
+  if (values.help || positionals.length !== 1) {
+    console.log("Usage: npm run import-codes -- <input file> [--output <file>] [--name <name>] [--normalize]");
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+
+  const inputFile = positionals[0];
+  const name = values.name || path.basename(inputFile, path.extname(inputFile));
+  const codes = parseCodeFile(fs.readFileSync(inputFile, "utf8"), inputFile);
+  const { codeSet, errors } = convertCodeSet(codes, name, values.normalize);
+
+  errors.forEach((error) => console.error("Skipping %s", error));
+  const json = JSON.stringify(codeSet, null, 2);
+  if (values.output) {
+    fs.writeFileSync(values.output, json, "utf8");
+    console.error("Converted %d of %d codes to %s", codeSet.codes.length, codes.length, values.output);
+  } else {
+    console.log(json);
+  }
+}
+
+// Execute the main function only if the module is run directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  try {
+    main();
+  } catch (e) {
+    console.error("Import failed: %s", e.message);
+    process.exitCode = 1;
+  }
+}
+
+export { parseCodeFile, parseCsv, parseIrDatabaseJson, parseText, toKeyName, convertCodeSet };
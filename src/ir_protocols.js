@@ -0,0 +1,521 @@
+/**
+ * IR protocol encoders to create raw IR timings from decoded protocol parameters.
+ *
+ * Protocol definitions are based on the IRP notation of the [IRDB](https://github.com/probonopd/irdb) and
+ * [IrpTransmogrifier](https://github.com/bengtmartensson/IrpTransmogrifier) projects.
+ *
+ * @copyright (c) 2024 by Unfolded Circle ApS.
+ * @license Mozilla Public License Version 2.0, see LICENSE for more details.
+ */
+
+/**
+ * Encoded IR signal with raw timings.
+ *
+ * Durations are alternating mark (carrier on) and space (carrier off) durations in microseconds, starting with a mark
+ * and ending with a space.
+ *
+ * @typedef {Object} IrSignal
+ * @property {number} frequency carrier frequency in Hz.
+ * @property {Array<number>} intro durations of the intro sequence, which is sent once. Might be empty.
+ * @property {Array<number>} repeat durations of the repeat sequence, which is sent while the button is held. Might be
+ *           empty.
+ */
+
+/**
+ * Builder for a mark & space duration sequence. Consecutive marks or spaces are merged.
+ */
+class SequenceBuilder {
+  #durations = [];
+  #total = 0;
+
+  /**
+   * Add a mark (carrier on) duration.
+   * @param {number} duration duration in microseconds.
+   * @return {SequenceBuilder}
+   */
+  mark(duration) {
+    return this.#add(duration, true);
+  }
+
+  /**
+   * Add a space (carrier off) duration.
+   * @param {number} duration duration in microseconds.
+   * @return {SequenceBuilder}
+   */
+  space(duration) {
+    return this.#add(duration, false);
+  }
+
+  /**
+   * Add a mark (positive) or space (negative) duration.
+   * @param {Array<number>} durations signed durations in microseconds.
+   * @return {SequenceBuilder}
+   */
+  add(durations) {
+    for (const duration of durations) {
+      if (duration > 0) {
+        this.mark(duration);
+      } else {
+        this.space(-duration);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Add the bits of a value.
+   * @param {number} value value to encode.
+   * @param {number} count number of bits.
+   * @param {boolean} msbFirst true: most significant bit first, false: least significant bit first.
+   * @param {Array<number>} zero signed durations of a 0 bit, see {@link add}.
+   * @param {Array<number>} one signed durations of a 1 bit, see {@link add}.
+   * @return {SequenceBuilder}
+   */
+  bits(value, count, msbFirst, zero, one) {
+    for (let i = 0; i < count; i++) {
+      const bit = msbFirst ? (value >> (count - 1 - i)) & 1 : (value >> i) & 1;
+      this.add(bit ? one : zero);
+    }
+    return this;
+  }
+
+  /**
+   * Add a trailing space to extend the sequence to the given total duration.
+   * @param {number} total total duration of the sequence in microseconds.
+   * @return {SequenceBuilder}
+   */
+  extendTo(total) {
+    return this.space(total - this.#total);
+  }
+
+  /**
+   * Get the mark & space durations.
+   *
+   * A leading space is removed, since an IR sequence always starts with a mark.
+   * @return {Array<number>} durations in microseconds.
+   */
+  build() {
+    return this.#durations.map((item) => item.duration);
+  }
+
+  #add(duration, mark) {
+    if (duration <= 0) {
+      return this;
+    }
+    this.#total += duration;
+    if (!mark && this.#durations.length === 0) {
+      // leading space is not transmitted
+      return this;
+    }
+    const last = this.#durations[this.#durations.length - 1];
+    if (last && last.mark === mark) {
+      last.duration += duration;
+    } else {
+      this.#durations.push({ mark, duration });
+    }
+    return this;
+  }
+}
+
+function _checkRange(name, value, max) {
+  if (!Number.isInteger(value) || value < 0 || value > max) {
+    throw new Error(`Invalid ${name}: ${value} (valid range: 0..${max})`);
+  }
+}
+
+const RC5_UNIT = 889;
+
+/**
+ * Encode a Philips RC5 code.
+ *
+ * IRP: `{36k,msb,889}<1,-1|-1,1>((1,~F:1:6,T:1,D:5,F:6,^114m)*,T=1-T)[D:0..31,F:0..127,T@:0..1=0]`
+ *
+ * @param {number} system system (device) address: 0..31
+ * @param {number} command command (function): 0..127
+ * @param {number} [toggle=0] toggle bit
+ * @return {IrSignal}
+ * @throws Error if a parameter is out of range
+ */
+function encodeRc5(system, command, toggle = 0) {
+  _checkRange("RC5 system", system, 31);
+  _checkRange("RC5 command", command, 127);
+
+  const zero = [RC5_UNIT, -RC5_UNIT];
+  const one = [-RC5_UNIT, RC5_UNIT];
+  const frame = new SequenceBuilder()
+    .bits(1, 1, true, zero, one)
+    .bits(~command >> 6, 1, true, zero, one)
+    .bits(toggle, 1, true, zero, one)
+    .bits(system, 5, true, zero, one)
+    .bits(command, 6, true, zero, one)
+    .extendTo(114000);
+
+  return { frequency: 36000, intro: [], repeat: frame.build() };
+}
+
+/**
+ * Encode a Philips RC5x (extended RC5) code.
+ *
+ * IRP: `{36k,msb,889}<1,-1|-1,1>((1,~S:1:6,T:1,D:5,-4,S:6,F:6,^114m)*,T=1-T)[D:0..31,S:0..127,F:0..63,T@:0..1=0]`
+ *
+ * @param {number} system system (device) address: 0..31
+ * @param {number} command command: 0..127
+ * @param {number} data data (function): 0..63
+ * @param {number} [toggle=0] toggle bit
+ * @return {IrSignal}
+ * @throws Error if a parameter is out of range
+ */
+function encodeRc5x(system, command, data, toggle = 0) {
+  _checkRange("RC5x system", system, 31);
+  _checkRange("RC5x command", command, 127);
+  _checkRange("RC5x data", data, 63);
+
+  const zero = [RC5_UNIT, -RC5_UNIT];
+  const one = [-RC5_UNIT, RC5_UNIT];
+  const frame = new SequenceBuilder()
+    .bits(1, 1, true, zero, one)
+    .bits(~command >> 6, 1, true, zero, one)
+    .bits(toggle, 1, true, zero, one)
+    .bits(system, 5, true, zero, one)
+    .space(4 * RC5_UNIT)
+    .bits(command, 6, true, zero, one)
+    .bits(data, 6, true, zero, one)
+    .extendTo(114000);
+
+  return { frequency: 36000, intro: [], repeat: frame.build() };
+}
+
+const RC6_UNIT = 444;
+
+/**
+ * Encode a Philips RC6 mode 0 code.
+ *
+ * IRP: `{36k,444,msb}<-1,1|1,-1>((6,-2,1:1,0:3,<-2,2|2,-2>(T:1),D:8,F:8,^107m)*,T=1-T)[D:0..255,F:0..255,T@:0..1=0]`
+ *
+ * @param {number} address device address: 0..255
+ * @param {number} command command (function): 0..255
+ * @param {number} [toggle=0] toggle bit
+ * @return {IrSignal}
+ * @throws Error if a parameter is out of range
+ */
+function encodeRc6(address, command, toggle = 0) {
+  _checkRange("RC6 address", address, 255);
+  _checkRange("RC6 command", command, 255);
+
+  const zero = [-RC6_UNIT, RC6_UNIT];
+  const one = [RC6_UNIT, -RC6_UNIT];
+  const frame = new SequenceBuilder()
+    .mark(6 * RC6_UNIT)
+    .space(2 * RC6_UNIT)
+    .bits(1, 1, true, zero, one)
+    .bits(0, 3, true, zero, one)
+    .bits(toggle, 1, true, [-2 * RC6_UNIT, 2 * RC6_UNIT], [2 * RC6_UNIT, -2 * RC6_UNIT])
+    .bits(address, 8, true, zero, one)
+    .bits(command, 8, true, zero, one)
+    .extendTo(107000);
+
+  return { frequency: 36000, intro: [], repeat: frame.build() };
+}
+
+const NEC_UNIT = 564;
+
+/**
+ * Encode a NEC1 code with a ditto repeat sequence.
+ *
+ * IRP: `{38.4k,564}<1,-1|1,-3>(16,-8,D:8,S:8,F:8,~F:8,1,^108m,(16,-4,1,^108m)*)[D:0..255,S:0..255=255-D,F:0..255]`
+ *
+ * @param {number} device device address: 0..255
+ * @param {number} [subdevice] subdevice address: 0..255. Default: inverted device address.
+ * @param {number} command command (function): 0..255
+ * @param {number} [commandCheck] 2nd command byte: 0..255. Default: inverted command.
+ * @return {IrSignal}
+ * @throws Error if a parameter is out of range
+ */
+function encodeNec(device, subdevice, command, commandCheck) {
+  if (subdevice === undefined || subdevice === null) {
+    subdevice = ~device & 0xff;
+  }
+  if (commandCheck === undefined || commandCheck === null) {
+    commandCheck = ~command & 0xff;
+  }
+  _checkRange("NEC device", device, 255);
+  _checkRange("NEC subdevice", subdevice, 255);
+  _checkRange("NEC command", command, 255);
+  _checkRange("NEC command check", commandCheck, 255);
+
+  const zero = [NEC_UNIT, -NEC_UNIT];
+  const one = [NEC_UNIT, -3 * NEC_UNIT];
+  const frame = new SequenceBuilder()
+    .mark(16 * NEC_UNIT)
+    .space(8 * NEC_UNIT)
+    .bits(device, 8, false, zero, one)
+    .bits(subdevice, 8, false, zero, one)
+    .bits(command, 8, false, zero, one)
+    .bits(commandCheck, 8, false, zero, one)
+    .mark(NEC_UNIT)
+    .extendTo(108000);
+  const ditto = new SequenceBuilder()
+    .mark(16 * NEC_UNIT)
+    .space(4 * NEC_UNIT)
+    .mark(NEC_UNIT)
+    .extendTo(108000);
+
+  return { frequency: 38400, intro: frame.build(), repeat: ditto.build() };
+}
+
+/**
+ * Encode a NECx1 code with a repeat sequence of the first device bit.
+ *
+ * IRP: `{38.4k,564}<1,-1|1,-3>(8,-8,D:8,S:8,F:8,~F:8,1,^108m,(8,-8,D:1,1,^108m)*)[D:0..255,S:0..255=D,F:0..255]`
+ *
+ * @param {number} device device address: 0..255
+ * @param {number} [subdevice] subdevice address: 0..255. Default: device address.
+ * @param {number} command command (function): 0..255
+ * @return {IrSignal}
+ * @throws Error if a parameter is out of range
+ */
+function encodeNecx(device, subdevice, command) {
+  if (subdevice === undefined || subdevice === null) {
+    subdevice = device;
+  }
+  _checkRange("NECx device", device, 255);
+  _checkRange("NECx subdevice", subdevice, 255);
+  _checkRange("NECx command", command, 255);
+
+  const zero = [NEC_UNIT, -NEC_UNIT];
+  const one = [NEC_UNIT, -3 * NEC_UNIT];
+  const frame = new SequenceBuilder()
+    .mark(8 * NEC_UNIT)
+    .space(8 * NEC_UNIT)
+    .bits(device, 8, false, zero, one)
+    .bits(subdevice, 8, false, zero, one)
+    .bits(command, 8, false, zero, one)
+    .bits(~command & 0xff, 8, false, zero, one)
+    .mark(NEC_UNIT)
+    .extendTo(108000);
+  const repeat = new SequenceBuilder()
+    .mark(8 * NEC_UNIT)
+    .space(8 * NEC_UNIT)
+    .bits(device, 1, false, zero, one)
+    .mark(NEC_UNIT)
+    .extendTo(108000);
+
+  return { frequency: 38400, intro: frame.build(), repeat: repeat.build() };
+}
+
+/**
+ * Encode a Samsung32 code.
+ *
+ * IRP: `{38.4k,564}<1,-1|1,-3>(8,-8,D:8,S:8,F:8,~F:8,1,^108m)*[D:0..255,S:0..255=D,F:0..255]`
+ *
+ * @param {number} device device address: 0..255
+ * @param {number} [subdevice] subdevice address: 0..255. Default: device address.
+ * @param {number} command command (function): 0..255
+ * @return {IrSignal}
+ * @throws Error if a parameter is out of range
+ */
+function encodeSamsung32(device, subdevice, command) {
+  const signal = encodeNecx(device, subdevice, command);
+  // same frame as NECx, but the full frame is repeated
+  return { frequency: signal.frequency, intro: [], repeat: signal.intro };
+}
+
+const SONY_UNIT = 600;
+
+/**
+ * Encode a Sony SIRC code with 12, 15 or 20 bits.
+ *
+ * IRP:
+ * - Sony12: `{40k,600}<1,-1|2,-1>(4,-1,F:7,D:5,^45m)*[D:0..31,F:0..127]`
+ * - Sony15: `{40k,600}<1,-1|2,-1>(4,-1,F:7,D:8,^45m)*[D:0..255,F:0..127]`
+ * - Sony20: `{40k,600}<1,-1|2,-1>(4,-1,F:7,D:5,S:8,^45m)*[D:0..31,S:0..255,F:0..127]`
+ *
+ * Sony devices only react if a frame is received at least three times. The intro sequence therefore contains the
+ * frame twice, followed by the frame as repeat sequence.
+ *
+ * @param {number} bits number of bits: 12, 15 or 20
+ * @param {number} device device address
+ * @param {number} [subdevice] subdevice address, only used for 20 bits. Default: 0
+ * @param {number} command command (function): 0..127
+ * @return {IrSignal}
+ * @throws Error if a parameter is out of range
+ */
+function encodeSony(bits, device, subdevice, command) {
+  _checkRange("Sony command", command, 127);
+  _checkRange("Sony device", device, bits === 15 ? 255 : 31);
+  if (bits === 20) {
+    subdevice = subdevice ?? 0;
+    _checkRange("Sony subdevice", subdevice, 255);
+  }
+
+  const zero = [SONY_UNIT, -SONY_UNIT];
+  const one = [2 * SONY_UNIT, -SONY_UNIT];
+  const frame = new SequenceBuilder()
+    .mark(4 * SONY_UNIT)
+    .space(SONY_UNIT)
+    .bits(command, 7, false, zero, one)
+    .bits(device, bits === 15 ? 8 : 5, false, zero, one);
+  if (bits === 20) {
+    frame.bits(subdevice, 8, false, zero, one);
+  }
+  const durations = frame.extendTo(45000).build();
+
+  return { frequency: 40000, intro: [...durations, ...durations], repeat: durations };
+}
+
+const PANASONIC_UNIT = 432;
+
+/**
+ * Encode a Panasonic code: Kaseikyo protocol with the Panasonic manufacturer code.
+ *
+ * IRP: `{37k,432}<1,-1|1,-3>(8,-4,2:8,32:8,D:8,S:8,F:8,(D^S^F):8,1,-173)*[D:0..255,S:0..255,F:0..255]`
+ *
+ * @param {number} device device address: 0..255
+ * @param {number} [subdevice] subdevice address: 0..255. Default: 0
+ * @param {number} command command (function): 0..255
+ * @return {IrSignal}
+ * @throws Error if a parameter is out of range
+ */
+function encodePanasonic(device, subdevice, command) {
+  subdevice = subdevice ?? 0;
+  _checkRange("Panasonic device", device, 255);
+  _checkRange("Panasonic subdevice", subdevice, 255);
+  _checkRange("Panasonic command", command, 255);
+
+  const zero = [PANASONIC_UNIT, -PANASONIC_UNIT];
+  const one = [PANASONIC_UNIT, -3 * PANASONIC_UNIT];
+  const frame = new SequenceBuilder()
+    .mark(8 * PANASONIC_UNIT)
+    .space(4 * PANASONIC_UNIT)
+    .bits(2, 8, false, zero, one)
+    .bits(32, 8, false, zero, one)
+    .bits(device, 8, false, zero, one)
+    .bits(subdevice, 8, false, zero, one)
+    .bits(command, 8, false, zero, one)
+    .bits(device ^ subdevice ^ command, 8, false, zero, one)
+    .mark(PANASONIC_UNIT)
+    .space(173 * PANASONIC_UNIT);
+
+  return { frequency: 37000, intro: [], repeat: frame.build() };
+}
+
+const JVC_UNIT = 525;
+
+/**
+ * Encode a JVC code.
+ *
+ * IRP: `{38k,525}<1,-1|1,-3>(16,-8,(D:8,F:8,1,^59.08m)+)[D:0..255,F:0..255]`
+ *
+ * @param {number} device device address: 0..255
+ * @param {number} command command (function): 0..255
+ * @return {IrSignal}
+ * @throws Error if a parameter is out of range
+ */
+function encodeJvc(device, command) {
+  _checkRange("JVC device", device, 255);
+  _checkRange("JVC command", command, 255);
+
+  const zero = [JVC_UNIT, -JVC_UNIT];
+  const one = [JVC_UNIT, -3 * JVC_UNIT];
+  const frame = new SequenceBuilder()
+    .bits(device, 8, false, zero, one)
+    .bits(command, 8, false, zero, one)
+    .mark(JVC_UNIT)
+    .extendTo(59080)
+    .build();
+  const leader = new SequenceBuilder()
+    .mark(16 * JVC_UNIT)
+    .space(8 * JVC_UNIT)
+    .build();
+
+  return { frequency: 38000, intro: [...leader, ...frame], repeat: frame };
+}
+
+/**
+ * Supported IR protocols for {@link encodeIrProtocol}.
+ *
+ * Key: protocol name in upper case, value: encoder function with parameters `device`, `subdevice`, `function`.
+ * @type {Object<string, function(number, number|undefined, number): IrSignal>}
+ */
+const IR_PROTOCOLS = {
+  NEC: (device, subdevice, func) => encodeNec(device, subdevice, func),
+  NECX: (device, subdevice, func) => encodeNecx(device, subdevice, func),
+  RC5: (device, subdevice, func) => encodeRc5(device, func),
+  RC6: (device, subdevice, func) => encodeRc6(device, func),
+  SONY12: (device, subdevice, func) => encodeSony(12, device, subdevice, func),
+  SONY15: (device, subdevice, func) => encodeSony(15, device, subdevice, func),
+  SONY20: (device, subdevice, func) => encodeSony(20, device, subdevice, func),
+  SAMSUNG32: (device, subdevice, func) => encodeSamsung32(device, subdevice, func),
+  PANASONIC: (device, subdevice, func) => encodePanasonic(device, subdevice, func),
+  KASEIKYO: (device, subdevice, func) => encodePanasonic(device, subdevice, func),
+  JVC: (device, subdevice, func) => encodeJvc(device, func)
+};
+
+/**
+ * Check if the given IR protocol is supported by {@link encodeIrProtocol}.
+ * @param {string} protocol protocol name, case-insensitive.
+ * @return {boolean}
+ */
+function isIrProtocol(protocol) {
+  return typeof protocol === "string" && protocol.toUpperCase() in IR_PROTOCOLS;
+}
+
+/**
+ * Encode an IR code from protocol, device, subdevice and function numbers, as used in IRDB-style code tables.
+ *
+ * @param {string} protocol protocol name, case-insensitive. See {@link IR_PROTOCOLS}.
+ * @param {number} device device number
+ * @param {number|undefined} subdevice subdevice number. The protocol default is used if undefined or -1.
+ * @param {number} func function number
+ * @return {IrSignal}
+ * @throws Error if the protocol is not supported or a parameter is invalid
+ */
+function encodeIrProtocol(protocol, device, subdevice, func) {
+  if (!isIrProtocol(protocol)) {
+    throw new Error(`Unsupported IR protocol: ${protocol}`);
+  }
+  if (subdevice === -1) {
+    subdevice = undefined;
+  }
+  return IR_PROTOCOLS[protocol.toUpperCase()](device, subdevice, func);
+}
+
+/**
+ * Parse the protocol parameters of an IR code string.
+ *
+ * Format: `device,function` or `device,subdevice,function`. Values are separated by a comma or space.
+ * @param {string} code IR code string, e.g. `4,8` or `4,-1,8`.
+ * @return {{device: number, subdevice: number|undefined, function: number}}
+ * @throws Error if the code string is invalid
+ */
+function parseIrProtocolCode(code) {
+  const values = String(code ?? "")
+    .trim()
+    .split(/[\s,]+/);
+  if (values.length < 2 || values.length > 3 || values.some((value) => !/^-?\d+$/.test(value))) {
+    throw new Error(`Invalid IR protocol code: ${code}. Expected: device,[subdevice,]function`);
+  }
+
+  const numbers = values.map((value) => parseInt(value, 10));
+  if (numbers.length === 2) {
+    return { device: numbers[0], subdevice: undefined, function: numbers[1] };
+  }
+  return { device: numbers[0], subdevice: numbers[1], function: numbers[2] };
+}
+
+export {
+  SequenceBuilder,
+  IR_PROTOCOLS,
+  encodeRc5,
+  encodeRc5x,
+  encodeRc6,
+  encodeNec,
+  encodeNecx,
+  encodeSamsung32,
+  encodeSony,
+  encodePanasonic,
+  encodeJvc,
+  isIrProtocol,
+  encodeIrProtocol,
+  parseIrProtocolCode
+};
@@ -0,0 +1,147 @@
+/**
+ * Per-port IR send queue.
+ *
+ * @copyright (c) 2024 by Unfolded Circle ApS.
+ * @license Mozilla Public License Version 2.0, see LICENSE for more details.
+ */
+
+import { ErrorType, errorTypeFromMessage } from "./util.js";
+import { log } from "./loggers.js";
+
+/**
+ * Default number of retries if the device responds with `busyIR`.
+ * @type {number}
+ */
+const BUSY_RETRIES = 3;
+
+/**
+ * Default delay in milliseconds before retrying a `busyIR` request.
+ * @type {number}
+ */
+const BUSY_RETRY_DELAY = 100;
+
+/**
+ * Wait for the given time.
+ * @param {number} ms delay in milliseconds
+ * @return {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class IrSendQueue {
+  #transmit;
+  #gap;
+  #busyRetries;
+  #busyRetryDelay;
+  /**
+   * Port queues. A cleared queue is removed from the map and its requests are dropped.
+   * @type {Map<string, {tail: Promise<void>, pending: {sendIr: string, request: Promise<string>}|undefined, active: number, cleared: boolean}>}
+   */
+  #queues = new Map();
+
+  /**
+   * IR send queue: IR codes are sent one after another per output port.
+   *
+   * A request is only started after the previous request on the same port has completed. Requests on different ports
+   * are independent. If the same code is requested while an identical request is still waiting in the queue, the
+   * requests are coalesced and share the same result.
+   *
+   * @param {function(string, string): Promise<string>} transmit function to send a `sendir` body to a port. Must
+   *        resolve after the device completed the transmission.
+   * @param {Object} [options] queue options
+   * @param {number} [options.gap=0] minimal gap in milliseconds between two IR codes on the same port.
+   * @param {number} [options.busyRetries=3] number of retries if the port is busy.
+   * @param {number} [options.busyRetryDelay=100] delay in milliseconds before retrying a busy port.
+   */
+  constructor(transmit, { gap = 0, busyRetries = BUSY_RETRIES, busyRetryDelay = BUSY_RETRY_DELAY } = {}) {
+    this.#transmit = transmit;
+    this.#gap = gap;
+    this.#busyRetries = busyRetries;
+    this.#busyRetryDelay = busyRetryDelay;
+  }
+
+  /**
+   * Queue an IR code for the given port.
+   *
+   * @param {string} port output port
+   * @param {string} sendIr `sendir` body: `frequency,repeat,offset,on1,off1,...`
+   * @return {Promise<string, Error>} response of the transmit function.
+   */
+  send(port, sendIr) {
+    let queue = this.#queues.get(port);
+    if (!queue) {
+      queue = { tail: Promise.resolve(), pending: undefined, active: 0, cleared: false };
+      this.#queues.set(port, queue);
+    }
+
+    if (queue.pending?.sendIr === sendIr) {
+      log.debug("Coalescing queued IR code on port %s", port);
+      return queue.pending.request;
+    }
+
+    const entry = { sendIr };
+    queue.active += 1;
+    entry.request = queue.tail
+      .then(() => {
+        if (queue.pending === entry) {
+          queue.pending = undefined;
+        }
+        if (queue.cleared) {
+          throw new Error("IR send queue cleared");
+        }
+        return this.#sendWithRetry(port, sendIr);
+      })
+      .finally(() => {
+        queue.active -= 1;
+      });
+    queue.pending = entry;
+    // keep the queue going, errors are returned to the caller
+    queue.tail = entry.request.catch(() => {}).then(() => (this.#gap > 0 ? delay(this.#gap) : undefined));
+
+    return entry.request;
+  }
+
+  /**
+   * Check if IR codes are queued or being transmitted on the given port.
+   *
+   * @param {string} port output port
+   * @return {boolean}
+   */
+  busy(port) {
+    return (this.#queues.get(port)?.active ?? 0) > 0;
+  }
+
+  /**
+   * Drop the queued requests of a port, or of all ports, e.g. after a disconnect. Requests which are not yet started are
+   * rejected, so they are not sent afterwards. A request in progress is not aborted.
+   *
+   * @param {string} [port] output port, all ports if not specified.
+   */
+  clear(port) {
+    const ports = port === undefined ? [...this.#queues.keys()] : [port];
+    for (const item of ports) {
+      const queue = this.#queues.get(item);
+      if (queue) {
+        queue.cleared = true;
+        this.#queues.delete(item);
+      }
+    }
+  }
+
+  async #sendWithRetry(port, sendIr) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.#transmit(port, sendIr);
+      } catch (e) {
+        if (attempt >= this.#busyRetries || errorTypeFromMessage(e?.message ?? e) !== ErrorType.BUSY) {
+          throw e;
+        }
+        log.debug("IR port %s busy, retrying in %d ms", port, this.#busyRetryDelay);
+        await delay(this.#busyRetryDelay);
+      }
+    }
+  }
+}
+
+export { IrSendQueue };
@@ -0,0 +1,235 @@
+/**
+ * Address list parsing and TCP port scan for the manual device setup.
+ *
+ * @copyright (c) 2024 by Unfolded Circle ApS.
+ * @license Mozilla Public License Version 2.0, see LICENSE for more details.
+ */
+
+import { lookup } from "dns/promises";
+import net from "net";
+
+/**
+ * Default TCP port of Global Caché devices.
+ * @type {number}
+ */
+const DEFAULT_PORT = 4998;
+
+/**
+ * Maximum number of addresses of all IP ranges in an address list.
+ * @type {number}
+ */
+const MAX_SCAN_ADDRESSES = 1024;
+
+/**
+ * Time in milliseconds a resolved hostname is cached.
+ * @type {number}
+ */
+const RESOLVE_CACHE_TIME = 600000;
+
+/**
+ * Resolved hostnames.
+ * @type {Map<string, {address: Promise<string|undefined>, expires: number}>}
+ */
+const resolveCache = new Map();
+
+/**
+ * Manual setup address.
+ * @typedef {Object} ManualAddress
+ * @property {string} address IP address or hostname, optionally followed by `:port`.
+ * @property {boolean} scan true if the address is part of an IP range and must be probed before connecting.
+ */
+
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+const HOSTNAME_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
+
+/**
+ * Convert an IPv4 address to a number.
+ * @param {string} ip IPv4 address
+ * @return {number|undefined} address as unsigned number, undefined if it's not a valid IPv4 address.
+ */
+function ipToNumber(ip) {
+  const match = IPV4_PATTERN.exec(ip);
+  if (!match) {
+    return undefined;
+  }
+  const octets = match.slice(1).map((octet) => parseInt(octet, 10));
+  if (octets.some((octet) => octet > 255)) {
+    return undefined;
+  }
+  return octets.reduce((value, octet) => value * 256 + octet, 0);
+}
+
+/**
+ * Convert a number to an IPv4 address.
+ * @param {number} value address as unsigned number
+ * @return {string} IPv4 address
+ */
+function numberToIp(value) {
+  return [24, 16, 8, 0].map((shift) => Math.floor(value / 2 ** shift) % 256).join(".");
+}
+
+/**
+ * Expand an IP range to the first and last address.
+ *
+ * Supported formats:
+ * - CIDR notation: `192.168.1.0/24`. Network and broadcast addresses are excluded.
+ * - Address range: `192.168.1.10-192.168.1.20`
+ * - Last octet range: `192.168.1.10-20`
+ *
+ * @param {string} range IP range
+ * @return {{first: number, last: number}|undefined} address range, undefined if it's not an IP range.
+ * @throws Error if the range is invalid.
+ */
+function parseIpRange(range) {
+  let match = /^([\d.]+)\/(\d{1,2})$/.exec(range);
+  if (match) {
+    const ip = ipToNumber(match[1]);
+    const prefix = parseInt(match[2], 10);
+    if (ip === undefined || prefix > 32) {
+      throw new Error(`Invalid IP range: ${range}`);
+    }
+    const size = 2 ** (32 - prefix);
+    const network = ip - (ip % size);
+    // exclude network and broadcast address, except for point-to-point and single host networks
+    return size > 2 ? { first: network + 1, last: network + size - 2 } : { first: network, last: network + size - 1 };
+  }
+
+  match = /^([\d.]+)-([\d.]+)$/.exec(range);
+  if (match) {
+    const first = ipToNumber(match[1]);
+    let last = ipToNumber(match[2]);
+    if (last === undefined && first !== undefined && /^\d{1,3}$/.test(match[2])) {
+      last = first - (first % 256) + parseInt(match[2], 10);
+    }
+    if (first === undefined || last === undefined || last < first) {
+      throw new Error(`Invalid IP range: ${range}`);
+    }
+    return { first, last };
+  }
+
+  return undefined;
+}
+
+/**
+ * Parse the address input of the manual setup.
+ *
+ * The input is a list of addresses separated by commas, semicolons or whitespace. An address is either an IP address
+ * or hostname with an optional `:port`, or an IP range which is scanned for devices, see {@link parseIpRange}.
+ * Duplicate addresses are removed.
+ *
+ * Example: `192.168.1.20, itach.local:4999, 192.168.2.0/24`
+ *
+ * @param {string} input address list
+ * @return {Array<ManualAddress>} addresses in input order.
+ * @throws Error if an address is invalid or the IP ranges contain too many addresses.
+ */
+function parseAddressInput(input) {
+  const addresses = new Map();
+  let scanCount = 0;
+
+  for (const item of (input || "").split(/[\s,;]+/)) {
+    if (item.length === 0) {
+      continue;
+    }
+
+    const range = parseIpRange(item);
+    if (range) {
+      scanCount += range.last - range.first + 1;
+      if (scanCount > MAX_SCAN_ADDRESSES) {
+        throw new Error(`Too many addresses to scan, maximum: ${MAX_SCAN_ADDRESSES}`);
+      }
+      for (let ip = range.first; ip <= range.last; ip++) {
+        const address = numberToIp(ip);
+        if (!addresses.has(address)) {
+          addresses.set(address, { address, scan: true });
+        }
+      }
+      continue;
+    }
+
+    const [host, port, ...rest] = item.split(":");
+    const validPort = port === undefined || (/^\d{1,5}$/.test(port) && Number(port) > 0 && Number(port) < 65536);
+    const validHost = ipToNumber(host) !== undefined || (!IPV4_PATTERN.test(host) && HOSTNAME_PATTERN.test(host));
+    if (!validHost || !validPort || rest.length > 0) {
+      throw new Error(`Invalid address: ${item}`);
+    }
+    // an explicit address takes precedence over the same address in a range
+    addresses.set(item, { address: item, scan: false });
+  }
+
+  return [...addresses.values()];
+}
+
+/**
+ * Resolve a hostname to its IPv4 address.
+ *
+ * The result is cached for a few minutes, including a failed lookup: repeated calls, e.g. for the manual setup and the
+ * device identifier migration of the same discovery, don't result in a DNS query each time.
+ *
+ * @param {string} host IP address or hostname.
+ * @return {Promise<string|undefined>} IPv4 address, undefined if the hostname cannot be resolved. An IP address is
+ *         returned as is.
+ */
+function resolveHost(host) {
+  if (net.isIP(host)) {
+    return Promise.resolve(host);
+  }
+
+  const cached = resolveCache.get(host);
+  if (cached && cached.expires > Date.now()) {
+    return cached.address;
+  }
+  const address = lookup(host, { family: 4 }).then(
+    (result) => result.address,
+    () => undefined
+  );
+  resolveCache.set(host, { address, expires: Date.now() + RESOLVE_CACHE_TIME });
+  return address;
+}
+
+/**
+ * Check if a TCP port is open.
+ *
+ * @param {string} host IP address or hostname.
+ * @param {number} port TCP port
+ * @param {number} timeout connection timeout in milliseconds.
+ * @return {Promise<boolean>} true if a connection could be established.
+ */
+function probePort(host, port, timeout) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ host, port });
+    const finish = (open) => {
+      socket.destroy();
+      resolve(open);
+    };
+    socket.setTimeout(timeout, () => finish(false));
+    socket.once("connect", () => finish(true));
+    socket.once("error", () => finish(false));
+  });
+}
+
+/**
+ * Scan the given hosts for an open Global Caché TCP port. The hosts are probed in parallel.
+ *
+ * @param {Array<string>} hosts IP addresses or hostnames.
+ * @param {Object} [options] scan options
+ * @param {number} [options.port=4998] TCP port to probe.
+ * @param {number} [options.timeout=1000] connection timeout in milliseconds per host.
+ * @param {number} [options.concurrency=64] maximum number of parallel connection attempts.
+ * @return {Promise<Array<string>>} hosts with an open port, in the order of the given hosts.
+ */
+async function scanHosts(hosts, { port = DEFAULT_PORT, timeout = 1000, concurrency = 64 } = {}) {
+  const open = new Array(hosts.length).fill(false);
+  let next = 0;
+  const worker = async () => {
+    while (next < hosts.length) {
+      const index = next++;
+      open[index] = await probePort(hosts[index], port, timeout);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, hosts.length) }, worker));
+  return hosts.filter((_, index) => open[index]);
+}
+
+export { parseAddressInput, parseIpRange, probePort, resolveHost, scanHosts };
@@ -0,0 +1,186 @@
+/**
+ * Raw TCP socket communication with a serial port of a Global Caché device.
+ *
+ * @copyright (c) 2024 by Unfolded Circle ApS.
+ * @license Mozilla Public License Version 2.0, see LICENSE for more details.
+ */
+
+import net from "net";
+import { log } from "./loggers.js";
+
+/**
+ * TCP port of the serial port socket of module 1. Each module number uses the next port number.
+ * @type {number}
+ */
+const SERIAL_BASE_PORT = 4999;
+
+/**
+ * Get the TCP port of the raw serial socket of a serial module.
+ *
+ * The port is derived from the module number: module 1 uses port 4999, module 2 port 5000, and so on. It doesn't
+ * depend on other configured modules.
+ *
+ * @param {number} module module number of the serial port.
+ * @return {number} TCP port number
+ */
+function serialTcpPort(module) {
+  return SERIAL_BASE_PORT + module - 1;
+}
+
+class SerialClient {
+  #host;
+  #port;
+  /** @type {net.Socket|undefined} */
+  #socket;
+  #queue = Promise.resolve();
+  /** @type {{data: Buffer, terminator: Buffer, resolve: function(string), reject: function(Error)}|undefined} */
+  #response;
+
+  /**
+   * Serial port client using the raw TCP socket of a serial module.
+   * @param {string} host IP address or host name of the device.
+   * @param {number} port TCP port of the serial module: 4999 + serial module index.
+   */
+  constructor(host, port) {
+    this.#host = host;
+    this.#port = port;
+  }
+
+  get connected() {
+    return this.#socket !== undefined && this.#socket.readyState === "open";
+  }
+
+  /**
+   * Send data to the serial port. The socket is connected on demand.
+   *
+   * Requests are queued and sent one after another.
+   *
+   * @param {Buffer} data raw data to send.
+   * @param {Buffer} [terminator] optional response terminator. If set, the returned promise resolves with the
+   *        response received from the serial port, once it ends with the terminator.
+   * @param {number} [timeout=2000] connection and response timeout in milliseconds.
+   * @return {Promise<string|undefined, Error>} received response if a terminator is given, undefined otherwise.
+   */
+  send(data, terminator, timeout = 2000) {
+    const request = this.#queue.then(() => this.#send(data, terminator, timeout));
+    // keep the queue going, errors are returned to the caller
+    this.#queue = request.catch(() => {});
+    return request;
+  }
+
+  /**
+   * Close the socket connection.
+   */
+  close() {
+    if (this.#socket) {
+      this.#socket.destroy();
+      this.#socket = undefined;
+    }
+    this.#failResponse(new Error(`Serial port ${this.#host}:${this.#port} closed`));
+  }
+
+  async #send(data, terminator, timeout) {
+    if (!this.connected) {
+      await this.#connect(timeout);
+    }
+
+    if (!terminator || terminator.length === 0) {
+      await new Promise((resolve, reject) => {
+        this.#socket.write(data, (err) => (err ? reject(err) : resolve()));
+      });
+      return undefined;
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.#response = undefined;
+        reject(new Error(`Timeout waiting for serial response from ${this.#host}:${this.#port}`));
+      }, timeout);
+
+      this.#response = {
+        data: Buffer.alloc(0),
+        terminator,
+        resolve: (response) => {
+          clearTimeout(timer);
+          resolve(response);
+        },
+        reject: (err) => {
+          clearTimeout(timer);
+          reject(err);
+        }
+      };
+
+      this.#socket.write(data, (err) => {
+        if (err) {
+          clearTimeout(timer);
+          this.#response = undefined;
+          reject(err);
+        }
+      });
+    });
+  }
+
+  #connect(timeout) {
+    this.close();
+
+    return new Promise((resolve, reject) => {
+      log.debug("Connecting to serial port %s:%d", this.#host, this.#port);
+      const socket = net.connect({ host: this.#host, port: this.#port });
+      socket.setTimeout(timeout);
+
+      const onConnectError = (err) => reject(err);
+      socket.once("error", onConnectError);
+      socket.once("connect", () => {
+        socket.removeListener("error", onConnectError);
+        socket.setTimeout(0);
+        this.#socket = socket;
+        resolve();
+      });
+      socket.once("timeout", () => {
+        socket.destroy(new Error(`Timeout connecting to serial port ${this.#host}:${this.#port}`));
+      });
+      socket.on("error", (err) => {
+        log.warn("Serial port %s:%d error: %s", this.#host, this.#port, err);
+        if (this.#socket === socket) {
+          this.#failResponse(err);
+        }
+      });
+      socket.on("close", () => {
+        if (this.#socket === socket) {
+          this.#socket = undefined;
+          this.#failResponse(new Error(`Serial port ${this.#host}:${this.#port} disconnected`));
+        }
+      });
+      socket.on("data", this.#onData.bind(this));
+    });
+  }
+
+  /**
+   * Reject the pending response, e.g. if the connection is lost. The response would otherwise only fail with the timeout.
+   * @param {Error} err rejection reason
+   */
+  #failResponse(err) {
+    const response = this.#response;
+    if (response) {
+      this.#response = undefined;
+      response.reject(err);
+    }
+  }
+
+  #onData(chunk) {
+    if (!this.#response) {
+      log.debug("Ignoring unsolicited serial data from %s:%d: %s", this.#host, this.#port, chunk);
+      return;
+    }
+
+    const response = this.#response;
+    response.data = Buffer.concat([response.data, chunk]);
+    const index = response.data.indexOf(response.terminator);
+    if (index !== -1) {
+      this.#response = undefined;
+      response.resolve(response.data.subarray(0, index + response.terminator.length).toString("latin1"));
+    }
+  }
+}
+
+export { SerialClient, SERIAL_BASE_PORT, serialTcpPort };
@@ -8,10 +8,14 @@
 "use strict";
 
 import uc from "uc-integration-api";
-import { discover, retrieveDeviceInfo } from "gc-unified-lib";
-import { GcDevice, GcIrPort } from "./config.js";
+import { retrieveDeviceInfo } from "gc-unified-lib";
+import { IrPortMode } from "gc-unified-lib/src/models.js";
+import { GcConnectionSettings, GcDevice, GcIrPort, GcSerialSettings, RELAY_PORT_MODE } from "./config.js";
 import * as config from "./config.js";
-import { i18all } from "./util.js";
+import { DEVICE_STATES, GlobalCacheDevice } from "./device.js";
+import { discoverDevices, isBeaconUuid, isGlobalCacheBeacon, waitForBeacons } from "./beacon.js";
+import { parseAddressInput, resolveHost, scanHosts } from "./scan.js";
+import { convertGlobalCacheToPronto, i18all } from "./util.js";
 import { log } from "./loggers.js";
 
 /**
@@ -22,13 +26,85 @@ const SetupSteps = {
   INIT: 0,
   CONFIGURATION_MODE: 1,
   DISCOVER: 2,
-  DEVICE_CHOICE: 3
+  DEVICE_CHOICE: 3,
+  LEARN_IR: 4,
+  PORT_MODES: 5,
+  PORT_NAMES: 6,
+  CONNECTION: 7,
+  EDIT_DEVICE: 8
 };
 
+/**
+ * Connection timeout in milliseconds for device operations in the setup flow.
+ * @type {number}
+ */
+const CONNECT_TIMEOUT = 5000;
+
+/**
+ * Default discovery duration in seconds.
+ * @type {number}
+ */
+const DISCOVERY_TIMEOUT = 35;
+
+/**
+ * The discovery ends early if no new device was found within this time in milliseconds.
+ * @type {number}
+ */
+const DISCOVERY_IDLE_TIME = 20000;
+
+/**
+ * Maximum wait time in milliseconds for the beacon of a manually added device.
+ * @type {number}
+ */
+const BEACON_TIMEOUT = 5000;
+
+/**
+ * IR module port modes which can be set with `set_IR` in the setup flow.
+ * @type {Array<string>}
+ */
+const SETTABLE_PORT_MODES = [
+  IrPortMode.IR,
+  IrPortMode.IR_BLASTER,
+  IrPortMode.IR_NOCARRIER,
+  IrPortMode.SENSOR,
+  IrPortMode.SENSOR_NOTIFY
+];
+
 let discoveredDevices = new Map();
 let setupStep = SetupSteps.INIT;
 let cfgAddDevice = false;
 let manualAddress = false;
+let learnDeviceId = "";
+let portsDeviceId = "";
+let connectionDeviceId = "";
+let editDeviceId = "";
+let discoveryTimeout = DISCOVERY_TIMEOUT;
+/** @type {AbortController|undefined} */
+let discoveryAbort;
+/**
+ * Lookup of the device connections of the driver.
+ * @type {function(string): GlobalCacheDevice|undefined}
+ */
+let configuredDevice = () => undefined;
+/**
+ * Device identifier migration of the driver.
+ * @type {function(GcDevice, string)}
+ */
+let migrateDeviceId = () => {};
+
+/**
+ * Set the driver functions used by the setup flow.
+ *
+ * @param {Object} callbacks driver functions
+ * @param {function(string): GlobalCacheDevice|undefined} callbacks.configuredDevice returns the device connection for
+ *        a device identifier. Setup operations on a configured device use the existing connection of the driver.
+ * @param {function(GcDevice, string)} callbacks.migrateDeviceId migrates a configured device to a new identifier,
+ *        including its entities.
+ */
+function setDriverCallbacks(callbacks) {
+  configuredDevice = callbacks.configuredDevice;
+  migrateDeviceId = callbacks.migrateDeviceId;
+}
 
 /**
  * Dispatch driver setup requests to corresponding handlers.
@@ -40,8 +116,10 @@ let manualAddress = false;
  */
 async function driverSetupHandler(msg) {
   if (msg instanceof uc.setup.DriverSetupRequest) {
+    abortDiscovery();
     setupStep = SetupSteps.INIT;
     cfgAddDevice = false;
+    discoveryTimeout = DISCOVERY_TIMEOUT;
     return await handleDriverSetup(msg);
   }
   if (msg instanceof uc.setup.UserConfirmationResponse) {
@@ -49,6 +127,10 @@ async function driverSetupHandler(msg) {
       log.debug("Received user confirmation for starting discovery again");
       return await handleDiscovery(msg);
     }
+    if (setupStep === SetupSteps.LEARN_IR) {
+      log.debug("Received user confirmation for starting IR learning again");
+      return await handleLearnIr(learnDeviceId);
+    }
     log.error("No or invalid user confirmation response was received in step %d: %s", setupStep, msg);
   } else if (msg instanceof uc.setup.UserDataResponse) {
     if (setupStep === SetupSteps.CONFIGURATION_MODE && "action" in msg.inputValues) {
@@ -60,15 +142,33 @@ async function driverSetupHandler(msg) {
     if (setupStep === SetupSteps.DEVICE_CHOICE) {
       return await handleUserDataResponse(msg);
     }
+    if (setupStep === SetupSteps.LEARN_IR) {
+      if (msg.inputValues.again === "true") {
+        return await handleLearnIr(learnDeviceId);
+      }
+      return new uc.setup.SetupComplete();
+    }
+    if (setupStep === SetupSteps.PORT_MODES) {
+      return await handlePortModesResponse(msg);
+    }
+    if (setupStep === SetupSteps.PORT_NAMES) {
+      return handlePortNamesResponse(msg);
+    }
+    if (setupStep === SetupSteps.CONNECTION) {
+      return handleConnectionSettingsResponse(msg);
+    }
+    if (setupStep === SetupSteps.EDIT_DEVICE) {
+      return await handleEditDeviceResponse(msg);
+    }
     log.error("No or invalid user response was received in step %d: %s", setupStep, msg);
   } else if (msg instanceof uc.setup.AbortDriverSetup) {
     log.info("Setup was aborted with code: %s", msg.error);
-    // TODO abort discovery
+    abortDiscovery();
     discoveredDevices.clear();
     setupStep = SetupSteps.INIT;
   }
 
-  return new uc.setup.SetupError();
+  return new uc.setup.SetupError(uc.setup.IntegrationSetupError.OTHER);
 }
 
 /**
@@ -100,6 +200,29 @@ async function handleDriverSetup(msg) {
 
     // add remove & reset actions if there's at least one configured device
     if (dropdownDevices.length > 0) {
+      dropdownActions.push({
+        id: "edit",
+        label: i18all("setup.configuration.edit")
+      });
+      // IR learning requires a second connection, which is not supported by GC-100 devices
+      if (config.devices.all().some((device) => !device.isGc100)) {
+        dropdownActions.push({
+          id: "learn",
+          label: i18all("setup.configuration.learn")
+        });
+      }
+      dropdownActions.push({
+        id: "ports",
+        label: i18all("setup.configuration.ports")
+      });
+      dropdownActions.push({
+        id: "names",
+        label: i18all("setup.configuration.names")
+      });
+      dropdownActions.push({
+        id: "connection",
+        label: i18all("setup.configuration.connection")
+      });
       dropdownActions.push({
         id: "remove",
         label: i18all("setup.configuration.remove")
@@ -156,6 +279,16 @@ async function handleConfigurationMode(msg) {
     case "add":
       cfgAddDevice = true;
       break;
+    case "edit":
+      return handleEditDevice(msg.inputValues.choice);
+    case "learn":
+      return await handleLearnIr(msg.inputValues.choice);
+    case "ports":
+      return handlePortModes(msg.inputValues.choice);
+    case "names":
+      return handlePortNames(msg.inputValues.choice);
+    case "connection":
+      return handleConnectionSettings(msg.inputValues.choice);
     case "remove": {
       const choice = msg.inputValues.choice;
       if (!config.devices.remove(choice)) {
@@ -189,56 +322,539 @@ async function handleConfigurationMode(msg) {
       field: { text: { value: "" } },
       id: "address",
       label: i18all("setup.discovery.address")
+    },
+    {
+      field: { number: { value: discoveryTimeout, min: 5, max: 120, unit: { en: "s" } } },
+      id: "discovery_timeout",
+      label: i18all("setup.discovery.timeout")
     }
   ]);
 
   return userInputDiscovery;
 }
 
+/**
+ * Show the edit screen of the given device to change its name and address.
+ *
+ * @param {string} deviceId identifier of the configured device.
+ * @return {RequestUserInput | SetupError} the setup action on how to continue
+ */
+function handleEditDevice(deviceId) {
+  const deviceCfg = config.devices.get(deviceId);
+  if (!deviceCfg) {
+    log.error("Cannot edit device: device %s is not configured", deviceId);
+    return new uc.setup.SetupError(uc.setup.IntegrationSetupError.OTHER);
+  }
+
+  setupStep = SetupSteps.EDIT_DEVICE;
+  editDeviceId = deviceId;
+
+  return new uc.setup.RequestUserInput(i18all("setup.edit.title"), [
+    {
+      id: "info",
+      label: i18all("setup.edit.title"),
+      field: {
+        label: {
+          value: i18all("setup.edit.description")
+        }
+      }
+    },
+    {
+      field: { text: { value: deviceCfg.name } },
+      id: "name",
+      label: i18all("setup.edit.name")
+    },
+    {
+      field: { text: { value: deviceCfg.address } },
+      id: "address",
+      label: i18all("setup.edit.address")
+    }
+  ]);
+}
+
+/**
+ * Apply the changed name and address of the edit screen.
+ *
+ * The device information and ports are retrieved again from the given address. User defined port settings are kept.
+ * The device identifier doesn't change, the running device instance is reconnected to the new address.
+ *
+ * @param {uc.setup.UserDataResponse} msg user input data with the `name` and `address` fields.
+ * @return {Promise<SetupComplete | SetupError>} the setup action on how to continue
+ */
+async function handleEditDeviceResponse(msg) {
+  const deviceCfg = config.devices.get(editDeviceId);
+  if (!deviceCfg) {
+    log.error("Cannot edit device: device %s is not configured", editDeviceId);
+    return new uc.setup.SetupError(uc.setup.IntegrationSetupError.OTHER);
+  }
+
+  const address = msg.inputValues.address?.trim() || deviceCfg.address;
+  let deviceInfo;
+  try {
+    deviceInfo = await retrieveDeviceInfo(address);
+    log.info("Device information %s:", editDeviceId, deviceInfo);
+  } catch (e) {
+    log.warn("[%s] failed to retrieve device information from %s: %s", editDeviceId, address, e);
+    return new uc.setup.SetupError(uc.setup.IntegrationSetupError.CONNECTION_REFUSED);
+  }
+
+  config.devices.update({
+    ...deviceCfg,
+    name: msg.inputValues.name?.trim() || deviceInfo.name,
+    address: deviceInfo.address,
+    productFamily: deviceInfo.productFamily,
+    irPorts: irPortsFromDeviceInfo(deviceInfo, deviceCfg)
+  });
+  return new uc.setup.SetupComplete();
+}
+
+/**
+ * Learn an IR code with the IR learner of the given device.
+ *
+ * The learned code is shown as PRONTO HEX code to be stored in an IR remote. The user may learn another code.
+ *
+ * @param {string} deviceId identifier of the configured device.
+ * @return {Promise<RequestUserInput | RequestUserConfirmation | SetupError>} the setup action on how to continue
+ */
+async function handleLearnIr(deviceId) {
+  const deviceCfg = config.devices.get(deviceId);
+  if (!deviceCfg) {
+    log.error("Cannot learn IR code: device %s is not configured", deviceId);
+    return new uc.setup.SetupError(uc.setup.IntegrationSetupError.OTHER);
+  }
+  if (deviceCfg.isGc100) {
+    log.error("Cannot learn IR code: GC-100 device %s only supports one connection", deviceId);
+    return new uc.setup.SetupError(uc.setup.IntegrationSetupError.OTHER);
+  }
+
+  setupStep = SetupSteps.LEARN_IR;
+  learnDeviceId = deviceId;
+
+  // the learner captures all `sendir` messages of its connection: keep it away from the driver connection
+  const device = new GlobalCacheDevice(deviceCfg);
+  let pronto;
+  try {
+    await device.ensureConnected(CONNECT_TIMEOUT);
+    const sendIr = await device.learnIr();
+    log.info("[%s] learned IR code: %s", deviceId, sendIr);
+    pronto = convertGlobalCacheToPronto(sendIr, true);
+  } catch (e) {
+    log.warn("[%s] IR learning failed: %s", deviceId, e);
+    return new uc.setup.RequestUserConfirmation(
+      i18all("setup.learn_failed.title"),
+      i18all("setup.learn_failed.header")
+    );
+  } finally {
+    device.disconnect();
+    device.removeAllListeners();
+  }
+
+  return new uc.setup.RequestUserInput(i18all("setup.learn.title"), [
+    {
+      id: "info",
+      label: i18all("setup.learn.title"),
+      field: {
+        label: {
+          value: i18all("setup.learn.description")
+        }
+      }
+    },
+    {
+      field: { text: { value: pronto } },
+      id: "code",
+      label: i18all("setup.learn.code")
+    },
+    {
+      field: { checkbox: { value: false } },
+      id: "again",
+      label: i18all("setup.learn.again")
+    }
+  ]);
+}
+
+/**
+ * Show the port mode configuration screen of the given device.
+ *
+ * Each IR module port is shown with a dropdown of the settable port modes. Serial and relay ports cannot be changed.
+ *
+ * @param {string} deviceId identifier of the configured device.
+ * @return {RequestUserInput | SetupError} the setup action on how to continue
+ */
+function handlePortModes(deviceId) {
+  const deviceCfg = config.devices.get(deviceId);
+  if (!deviceCfg) {
+    log.error("Cannot configure port modes: device %s is not configured", deviceId);
+    return new uc.setup.SetupError(uc.setup.IntegrationSetupError.OTHER);
+  }
+
+  setupStep = SetupSteps.PORT_MODES;
+  portsDeviceId = deviceId;
+
+  const fields = [
+    {
+      id: "info",
+      label: i18all("setup.ports.title"),
+      field: {
+        label: {
+          value: i18all("setup.ports.description")
+        }
+      }
+    }
+  ];
+
+  for (const port of deviceCfg.irPorts) {
+    if (port.mode === IrPortMode.SERIAL || port.mode === RELAY_PORT_MODE) {
+      continue;
+    }
+    const modes = SETTABLE_PORT_MODES.includes(port.mode) ? SETTABLE_PORT_MODES : [port.mode, ...SETTABLE_PORT_MODES];
+    fields.push({
+      field: {
+        dropdown: { value: port.mode, items: modes.map((mode) => ({ id: mode, label: { en: mode } })) }
+      },
+      id: `${port.module}:${port.port}`,
+      label: { en: `${port.module}:${port.port}` }
+    });
+  }
+
+  return new uc.setup.RequestUserInput(i18all("setup.ports.title"), fields);
+}
+
+/**
+ * Apply the changed port modes of the port mode configuration screen.
+ *
+ * The new modes are set on the device with `set_IR` and stored in the device configuration. The entities of the
+ * device are recreated with the configuration update.
+ *
+ * @param {uc.setup.UserDataResponse} msg user input data with the port mode for each `module:port` field.
+ * @return {Promise<SetupComplete | SetupError>} the setup action on how to continue
+ */
+async function handlePortModesResponse(msg) {
+  const deviceCfg = config.devices.get(portsDeviceId);
+  if (!deviceCfg) {
+    log.error("Cannot configure port modes: device %s is not configured", portsDeviceId);
+    return new uc.setup.SetupError(uc.setup.IntegrationSetupError.OTHER);
+  }
+
+  const irPorts = deviceCfg.irPorts.map(
+    (port) => new GcIrPort(port.module, port.port, port.mode, port.serial, port.label)
+  );
+  const changes = irPorts.filter((port) => {
+    const mode = msg.inputValues[`${port.module}:${port.port}`];
+    return mode && mode !== port.mode && SETTABLE_PORT_MODES.includes(mode);
+  });
+  if (changes.length === 0) {
+    return new uc.setup.SetupComplete();
+  }
+
+  let failed = false;
+  try {
+    await withDeviceConnection(deviceCfg, async (device) => {
+      for (const port of changes) {
+        const address = `${port.module}:${port.port}`;
+        const mode = msg.inputValues[address];
+        log.info("[%s] changing mode of port %s from %s to %s", portsDeviceId, address, port.mode, mode);
+        port.mode = await device.setIrMode(address, mode);
+      }
+    });
+  } catch (e) {
+    log.error("[%s] failed to set port mode: %s", portsDeviceId, e);
+    failed = true;
+  }
+
+  // store successfully changed ports, even if a later port failed
+  config.devices.update({ ...deviceCfg, irPorts });
+
+  if (failed) {
+    return new uc.setup.SetupError(uc.setup.IntegrationSetupError.OTHER);
+  }
+  return new uc.setup.SetupComplete();
+}
+
+/**
+ * Run an operation on a connected device.
+ *
+ * The connection of the driver is used if it exists: GC-100 devices only accept a single connection. It's closed again
+ * afterwards if the driver didn't keep it open. Otherwise, a temporary connection is established.
+ *
+ * @param {GcDevice} deviceCfg configured device.
+ * @param {function(GlobalCacheDevice): Promise<*>} operation operation to run with the connected device.
+ * @return {Promise<*>} result of the operation.
+ */
+async function withDeviceConnection(deviceCfg, operation) {
+  const existing = configuredDevice(deviceCfg.id);
+  const device = existing ?? new GlobalCacheDevice(deviceCfg);
+  // the driver only connects devices with subscribed entities
+  const disconnected = existing?.state === DEVICE_STATES.OFFLINE;
+  try {
+    await device.ensureConnected(CONNECT_TIMEOUT);
+    return await operation(device);
+  } finally {
+    if (!existing) {
+      device.disconnect();
+      device.removeAllListeners();
+    } else if (disconnected) {
+      device.disconnect();
+    }
+  }
+}
+
+/**
+ * Show the port name configuration screen of the given device.
+ *
+ * Each port is shown with a text field for its friendly name. The name is used in the entity names and the output
+ * port list of the IR emitter. Optionally, an IR emitter entity can be created for each IR port.
+ *
+ * @param {string} deviceId identifier of the configured device.
+ * @return {RequestUserInput | SetupError} the setup action on how to continue
+ */
+function handlePortNames(deviceId) {
+  const deviceCfg = config.devices.get(deviceId);
+  if (!deviceCfg) {
+    log.error("Cannot configure port names: device %s is not configured", deviceId);
+    return new uc.setup.SetupError(uc.setup.IntegrationSetupError.OTHER);
+  }
+
+  setupStep = SetupSteps.PORT_NAMES;
+  portsDeviceId = deviceId;
+
+  const fields = [
+    {
+      id: "info",
+      label: i18all("setup.names.title"),
+      field: {
+        label: {
+          value: i18all("setup.names.description")
+        }
+      }
+    }
+  ];
+  for (const port of deviceCfg.irPorts) {
+    fields.push({
+      field: { text: { value: port.label || "" } },
+      id: `${port.module}:${port.port}`,
+      label: { en: `${port.module}:${port.port} ${port.mode}` }
+    });
+  }
+  fields.push({
+    field: { checkbox: { value: deviceCfg.emitterPerPort === true } },
+    id: "emitter_per_port",
+    label: i18all("setup.names.emitter_per_port")
+  });
+  fields.push({
+    field: { checkbox: { value: deviceCfg.keepDeviceEmitter === true } },
+    id: "keep_device_emitter",
+    label: i18all("setup.names.keep_device_emitter")
+  });
+
+  return new uc.setup.RequestUserInput(i18all("setup.names.title"), fields);
+}
+
+/**
+ * Store the port names and the IR emitter mode of the port name configuration screen. An empty name resets the port
+ * to the default name.
+ *
+ * @param {uc.setup.UserDataResponse} msg user input data with the port name for each `module:port` field.
+ * @return {SetupComplete | SetupError} the setup action on how to continue
+ */
+function handlePortNamesResponse(msg) {
+  const deviceCfg = config.devices.get(portsDeviceId);
+  if (!deviceCfg) {
+    log.error("Cannot configure port names: device %s is not configured", portsDeviceId);
+    return new uc.setup.SetupError(uc.setup.IntegrationSetupError.OTHER);
+  }
+
+  const irPorts = deviceCfg.irPorts.map((port) => {
+    const value = msg.inputValues[`${port.module}:${port.port}`];
+    const label = typeof value === "string" ? value.trim() || undefined : port.label;
+    return new GcIrPort(port.module, port.port, port.mode, port.serial, label);
+  });
+
+  const checkbox = (key, current) => (key in msg.inputValues ? msg.inputValues[key] === "true" : current);
+  const emitterPerPort = checkbox("emitter_per_port", deviceCfg.emitterPerPort);
+  const keepDeviceEmitter = checkbox("keep_device_emitter", deviceCfg.keepDeviceEmitter);
+
+  config.devices.update({ ...deviceCfg, irPorts, emitterPerPort, keepDeviceEmitter });
+  return new uc.setup.SetupComplete();
+}
+
+/**
+ * Show the connection settings screen of the given device.
+ *
+ * @param {string} deviceId identifier of the configured device.
+ * @return {RequestUserInput | SetupError} the setup action on how to continue
+ */
+function handleConnectionSettings(deviceId) {
+  const deviceCfg = config.devices.get(deviceId);
+  if (!deviceCfg) {
+    log.error("Cannot configure connection: device %s is not configured", deviceId);
+    return new uc.setup.SetupError(uc.setup.IntegrationSetupError.OTHER);
+  }
+
+  setupStep = SetupSteps.CONNECTION;
+  connectionDeviceId = deviceId;
+
+  const settings = new GcConnectionSettings(deviceCfg.connection);
+  const tcpKeepAlive = settings.tcpKeepAlive ?? !deviceCfg.isGc100;
+  const milliseconds = { en: "ms" };
+
+  return new uc.setup.RequestUserInput(i18all("setup.connection.title"), [
+    {
+      field: { number: { value: settings.sendTimeout, min: 100, max: 30000, unit: milliseconds } },
+      id: "sendTimeout",
+      label: i18all("setup.connection.send_timeout")
+    },
+    {
+      field: { number: { value: settings.reconnectDelay, min: 100, max: 60000, unit: milliseconds } },
+      id: "reconnectDelay",
+      label: i18all("setup.connection.reconnect_delay")
+    },
+    {
+      field: { number: { value: settings.reconnectMaxDelay, min: 1000, max: 600000, unit: milliseconds } },
+      id: "reconnectMaxDelay",
+      label: i18all("setup.connection.reconnect_max_delay")
+    },
+    {
+      field: { checkbox: { value: tcpKeepAlive } },
+      id: "tcpKeepAlive",
+      label: i18all("setup.connection.keep_alive")
+    },
+    {
+      field: { checkbox: { value: settings.connectOnDemand } },
+      id: "connectOnDemand",
+      label: i18all("setup.connection.connect_on_demand")
+    },
+    {
+      field: { number: { value: settings.idleTimeout, min: 1000, max: 600000, unit: milliseconds } },
+      id: "idleTimeout",
+      label: i18all("setup.connection.idle_timeout")
+    },
+    {
+      field: { number: { value: settings.irCmdGap ?? 0, min: 0, max: 5000, unit: milliseconds } },
+      id: "irCmdGap",
+      label: i18all("setup.connection.ir_cmd_gap")
+    }
+  ]);
+}
+
+/**
+ * Store the connection settings of the connection settings screen. The device is reconnected with the new settings.
+ *
+ * @param {uc.setup.UserDataResponse} msg user input data of the connection settings screen.
+ * @return {SetupComplete | SetupError} the setup action on how to continue
+ */
+function handleConnectionSettingsResponse(msg) {
+  const deviceCfg = config.devices.get(connectionDeviceId);
+  if (!deviceCfg) {
+    log.error("Cannot configure connection: device %s is not configured", connectionDeviceId);
+    return new uc.setup.SetupError(uc.setup.IntegrationSetupError.OTHER);
+  }
+
+  const current = new GcConnectionSettings(deviceCfg.connection);
+  const number = (key, min) => {
+    const value = parseInt(msg.inputValues[key], 10);
+    return Number.isNaN(value) ? current[key] : Math.max(value, min);
+  };
+  const sendTimeout = number("sendTimeout", 100);
+  const reconnectDelay = number("reconnectDelay", 100);
+  const connection = new GcConnectionSettings({
+    ...current,
+    sendTimeout,
+    reconnectDelay,
+    reconnectMaxDelay: Math.max(number("reconnectMaxDelay", 1000), reconnectDelay),
+    tcpKeepAlive: msg.inputValues.tcpKeepAlive === "true",
+    connectOnDemand: msg.inputValues.connectOnDemand === "true",
+    idleTimeout: number("idleTimeout", 1000),
+    irCmdGap: number("irCmdGap", 0)
+  });
+
+  config.devices.update({ ...deviceCfg, connection });
+  return new uc.setup.SetupComplete();
+}
+
 /**
  * @param {uc.setup.DriverSetupRequest | UserConfirmationResponse | UserDataResponse} msg value(s) of input fields in the first setup screen.
  * @return {Promise<SetupAction>}
  */
 async function handleDiscovery(msg) {
-  // await uc.driverSetupProgress(wsHandle); // TODO do we need add an event to send async progress notifications?
   manualAddress = false;
   const checkBoxes = [];
 
+  // discovery duration from the initial setup screen or the discovery screen, kept for a discovery retry
+  const timeout = parseInt(msg.inputValues?.discovery_timeout ?? msg.setupData?.discovery_timeout, 10);
+  if (!Number.isNaN(timeout)) {
+    discoveryTimeout = Math.min(Math.max(timeout, 5), 120);
+  }
+
   if (msg instanceof uc.setup.UserDataResponse && msg.inputValues.address) {
     if (msg.inputValues.address.length > 0) {
       log.debug("Starting manual driver setup for: %s", msg.inputValues.address);
       manualAddress = true;
+      let addresses;
       try {
-        const deviceInfo = await retrieveDeviceInfo(msg.inputValues.address);
-        const id = `${deviceInfo.productFamily}_${deviceInfo.host.replaceAll(".", "")}`;
-        discoveredDevices.clear();
+        addresses = await manualAddresses(msg.inputValues.address);
+      } catch (e) {
+        log.warn("Invalid manual address input: %s", e.message);
+        return new uc.setup.SetupError(uc.setup.IntegrationSetupError.OTHER);
+      }
+
+      discoveredDevices.clear();
+      const results = await Promise.allSettled(addresses.map((address) => retrieveDeviceInfo(address)));
+      const devices = [];
+      results.forEach((result, index) => {
+        if (result.status === "rejected") {
+          log.warn("Failed to connect to device %s", addresses[index], result.reason);
+        } else {
+          devices.push({ address: addresses[index], deviceInfo: result.value });
+        }
+      });
+      const ids = await manualDeviceIds(devices.map((item) => item.deviceInfo));
+      devices.forEach(({ address, deviceInfo }, index) => {
+        const id = ids[index];
         discoveredDevices.set(
           id,
           new Map([
             ["UUID", id],
-            ["address", deviceInfo.host]
+            ["address", address]
           ])
         );
         if (cfgAddDevice && config.devices.contains(id)) {
           log.debug("Skipping manual device %s: already configured", id);
+        } else {
+          checkBoxes.push({
+            field: { checkbox: { value: true } },
+            id,
+            label: {
+              en: `${deviceInfo.productFamily} ${deviceInfo.version} (${address})`
+            }
+          });
         }
-        checkBoxes.push({
-          field: { checkbox: { value: true } },
-          id,
-          label: {
-            en: `${deviceInfo.productFamily} ${deviceInfo.version} (${deviceInfo.host})`
-          }
-        });
-      } catch (e) {
-        log.warn("Failed to connect to device", e);
-        return new uc.setup.SetupError(uc.setup.SetupError.CONNECTION_REFUSED); // no better error at the moment :-(
+      });
+      if (devices.length === 0) {
+        return new uc.setup.SetupError(uc.setup.IntegrationSetupError.CONNECTION_REFUSED); // no better error at the moment :-(
       }
     }
   }
 
   if (!manualAddress) {
-    log.info("Discovering devices on the network");
-    discoveredDevices = await discover(35000);
+    log.info("Discovering devices on the network for %d seconds", discoveryTimeout);
+    abortDiscovery();
+    const abort = new AbortController();
+    discoveryAbort = abort;
+    // the setup API doesn't support progress updates within a setup step: found devices are shown at the end
+    discoveredDevices = await discoverDevices({
+      timeout: discoveryTimeout * 1000,
+      idleTime: DISCOVERY_IDLE_TIME,
+      signal: abort.signal,
+      onDevice: (item) => log.info("Found device %s (%s)", item.get("UUID"), item.get("address"))
+    });
+    if (abort.signal.aborted) {
+      log.info("Discovery cancelled");
+      return new uc.setup.SetupError(uc.setup.IntegrationSetupError.OTHER);
+    }
+    discoveryAbort = undefined;
+
+    // before the device selection: migrated devices are already configured
+    await migrateLegacyDeviceIds(discoveredDevices);
 
     discoveredDevices.forEach((item) => {
       const id = item.get("UUID");
@@ -248,6 +864,8 @@ async function handleDiscovery(msg) {
         log.info("Skipping found device %s: already configured", id);
       } else if (item.get("Make") === "Unfolded Circle") {
         log.debug("Ignoring UC dock: %s", id);
+      } else if (!isBeaconUuid(id)) {
+        log.debug("Ignoring non Global Caché device: %s", id);
       } else {
         checkBoxes.push({
           field: { checkbox: { value: false } },
@@ -272,6 +890,101 @@ async function handleDiscovery(msg) {
   return new uc.setup.RequestUserInput("Select your Global Caché products", checkBoxes);
 }
 
+/**
+ * Cancel a running discovery.
+ */
+function abortDiscovery() {
+  if (discoveryAbort) {
+    log.debug("Aborting discovery");
+    discoveryAbort.abort();
+    discoveryAbort = undefined;
+  }
+}
+
+/**
+ * Get the device addresses of the manual setup address input.
+ *
+ * Addresses of IP ranges are scanned for an open Global Caché port, other addresses are returned as is.
+ *
+ * @param {string} input address list, see {@link parseAddressInput}.
+ * @return {Promise<Array<string>>} device addresses
+ * @throws Error if the address input is invalid.
+ */
+async function manualAddresses(input) {
+  const addresses = parseAddressInput(input);
+  const scan = addresses.filter((item) => item.scan).map((item) => item.address);
+  if (scan.length === 0) {
+    return addresses.map((item) => item.address);
+  }
+
+  log.info("Scanning %d addresses for devices", scan.length);
+  const found = new Set(await scanHosts(scan));
+  log.info("Found %d devices in scanned addresses", found.size);
+  return addresses.filter((item) => !item.scan || found.has(item.address)).map((item) => item.address);
+}
+
+/**
+ * Get the identifiers of manually added devices: the UUID of the device beacon, same as with auto-discovery.
+ *
+ * The beacons of all devices are received with a single listener. Only a short time is waited to not block the setup.
+ * If no beacon is received, e.g. if the device is in a different network, the identifier is based on the IP address.
+ *
+ * @param {Array<Object>} deviceInfos device information from `retrieveDeviceInfo`.
+ * @return {Promise<Array<string>>} device identifiers in the order of the given devices.
+ */
+async function manualDeviceIds(deviceInfos) {
+  // the beacon is sent from the IP address, also if the device was added with a hostname
+  const hosts = await Promise.all(deviceInfos.map((deviceInfo) => resolveHost(deviceInfo.host)));
+  const beacons = await waitForBeacons(
+    hosts.filter((host) => host !== undefined),
+    BEACON_TIMEOUT
+  );
+
+  return deviceInfos.map((deviceInfo, index) => {
+    const beacon = beacons.get(hosts[index]);
+    if (beacon) {
+      return beacon.get("UUID");
+    }
+    log.warn("No beacon received from %s, using an address based device identifier", deviceInfo.host);
+    return `${deviceInfo.productFamily}_${deviceInfo.host.replaceAll(".", "")}`;
+  });
+}
+
+/**
+ * One-time migration of IP address based device identifiers of earlier versions to the beacon UUID.
+ *
+ * The migration runs with the first discovery in the setup flow, which receives the beacons of all devices in the
+ * network. The entity identifiers change with the device identifier: activities on the Remote using the old entities
+ * have to be updated. Devices without a received beacon keep their identifier.
+ *
+ * @param {Map<string, Map<string, string>>} beacons discovered device beacons.
+ */
+async function migrateLegacyDeviceIds(beacons) {
+  if (config.devices.idMigrationDone) {
+    return;
+  }
+
+  const uuids = new Map();
+  for (const beacon of beacons.values()) {
+    if (isGlobalCacheBeacon(beacon)) {
+      uuids.set(beacon.get("address"), beacon.get("UUID"));
+    }
+  }
+
+  for (const device of [...config.devices.all()]) {
+    if (isBeaconUuid(device.id)) {
+      continue;
+    }
+    const uuid = uuids.get(await resolveHost(device.host));
+    if (uuid) {
+      migrateDeviceId(device, uuid);
+    } else {
+      log.info("[%s] no beacon received, keeping the device identifier", device.id);
+    }
+  }
+  config.devices.markIdMigrationDone();
+}
+
 /**
  *
  * @param {uc.setup.UserDataResponse} msg
@@ -307,15 +1020,23 @@ async function handleUserDataResponse(msg) {
           ]
         }
          */
-        const irPorts = [];
-        deviceInfo.irPorts.forEach((port) => {
-          irPorts.push(new GcIrPort(port.module, port.port, port.mode.toString()));
-        });
-        const gcDevice = new GcDevice(uuid, deviceInfo.name, deviceInfo.address, irPorts);
+        // keep user defined settings of an already configured device
+        const existing = config.devices.get(uuid);
+        const gcDevice = new GcDevice(
+          uuid,
+          deviceInfo.name,
+          deviceInfo.address,
+          irPortsFromDeviceInfo(deviceInfo, existing),
+          existing?.portGroups,
+          existing?.emitterPerPort,
+          existing?.connection,
+          deviceInfo.productFamily,
+          existing?.keepDeviceEmitter
+        );
         config.devices.addOrUpdate(gcDevice);
       } catch (e) {
         log.error("Failed to retrieve device information for %s.", uuid, e);
-        return new uc.setup.SetupError(uc.setup.SetupError.OTHER);
+        return new uc.setup.SetupError(uc.setup.IntegrationSetupError.OTHER);
       }
     }
   }
@@ -323,4 +1044,23 @@ async function handleUserDataResponse(msg) {
   return new uc.setup.SetupComplete();
 }
 
-export { driverSetupHandler };
+/**
+ * Create the port configuration from the retrieved device information.
+ *
+ * User defined settings of the ports of an already configured device are kept: port name and serial settings.
+ *
+ * @param {Object} deviceInfo device information from `retrieveDeviceInfo`.
+ * @param {GcDevice} [existing] already configured device.
+ * @return {Array<GcIrPort>}
+ */
+function irPortsFromDeviceInfo(deviceInfo, existing) {
+  return deviceInfo.irPorts.map((port) => {
+    const mode = port.mode.toString();
+    const existingPort = existing?.irPorts.find((item) => item.module === port.module && item.port === port.port);
+    // default serial settings, can be changed in the configuration file
+    const serial = mode === IrPortMode.SERIAL ? existingPort?.serial || new GcSerialSettings() : undefined;
+    return new GcIrPort(port.module, port.port, mode, serial, existingPort?.label);
+  });
+}
+
+export { driverSetupHandler, irPortsFromDeviceInfo, setDriverCallbacks };
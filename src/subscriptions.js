@@ -0,0 +1,100 @@
+/**
+ * Entity subscription tracking per device.
+ *
+ * @copyright (c) 2024 by Unfolded Circle ApS.
+ * @license Mozilla Public License Version 2.0, see LICENSE for more details.
+ */
+
+/**
+ * Subscribed entities of the Remote, grouped by device: a device is only in use while at least one of its entities is
+ * subscribed.
+ */
+class EntitySubscriptions {
+  /**
+   * Subscribed entity identifiers per device identifier. Devices without subscribed entities are removed.
+   * @type {Map<string, Set<string>>}
+   */
+  #devices = new Map();
+
+  /**
+   * Add a subscribed entity. Subscribing an already subscribed entity has no effect.
+   *
+   * @param {string} deviceId device identifier.
+   * @param {string} entityId entity identifier.
+   * @return {boolean} true if it's the first subscribed entity of the device.
+   */
+  subscribe(deviceId, entityId) {
+    const entityIds = this.#devices.get(deviceId);
+    if (entityIds) {
+      entityIds.add(entityId);
+      return false;
+    }
+    this.#devices.set(deviceId, new Set([entityId]));
+    return true;
+  }
+
+  /**
+   * Remove a subscribed entity.
+   *
+   * @param {string} deviceId device identifier.
+   * @param {string} entityId entity identifier.
+   * @return {boolean} true if it was the last subscribed entity of the device, false if other entities are still
+   *         subscribed, or if the entity wasn't subscribed.
+   */
+  unsubscribe(deviceId, entityId) {
+    const entityIds = this.#devices.get(deviceId);
+    if (!entityIds?.delete(entityId)) {
+      return false;
+    }
+    if (entityIds.size > 0) {
+      return false;
+    }
+    this.#devices.delete(deviceId);
+    return true;
+  }
+
+  /**
+   * Check if at least one entity of the device is subscribed.
+   * @param {string} deviceId device identifier.
+   * @return {boolean}
+   */
+  has(deviceId) {
+    return this.#devices.has(deviceId);
+  }
+
+  /**
+   * Check if an entity is subscribed.
+   * @param {string} deviceId device identifier.
+   * @param {string} entityId entity identifier.
+   * @return {boolean}
+   */
+  isSubscribed(deviceId, entityId) {
+    return this.#devices.get(deviceId)?.has(entityId) ?? false;
+  }
+
+  /**
+   * Get the subscribed entities of a device.
+   * @param {string} deviceId device identifier.
+   * @return {Array<string>} subscribed entity identifiers, empty if the device has no subscribed entities.
+   */
+  entityIds(deviceId) {
+    return [...(this.#devices.get(deviceId) ?? [])];
+  }
+
+  /**
+   * Remove all subscribed entities of a device, e.g. of a removed device.
+   * @param {string} deviceId device identifier.
+   */
+  remove(deviceId) {
+    this.#devices.delete(deviceId);
+  }
+
+  /**
+   * Remove all subscribed entities.
+   */
+  clear() {
+    this.#devices.clear();
+  }
+}
+
+export { EntitySubscriptions };
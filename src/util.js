@@ -6,6 +6,19 @@
  */
 
 import i18n from "i18n";
+import { encodeNec, encodeRc5, encodeRc5x, encodeRc6 } from "./ir_protocols.js";
+
+/**
+ * Lowest carrier frequency in Hz supported by `sendir` of all Global Caché devices.
+ * @type {number}
+ */
+const MIN_CARRIER_FREQUENCY = 15000;
+
+/**
+ * PRONTO time unit in microseconds of a frequency word value of 1.
+ * @type {number}
+ */
+const PRONTO_CLOCK = 0.241246;
 
 /**
  * Returns an object of translations for a given phrase in each language.
@@ -39,36 +52,432 @@ function i18all(key) {
 }
 
 /**
- * Convert a PRONTO raw HEX string (raw: starting with 0000).
- * @param {string} prontoHex PRONTO raw HEX string.
+ * Convert a PRONTO HEX string to the Global Caché `sendir` format.
+ *
+ * Supported PRONTO formats:
+ * - `0000`: learned modulated code (raw)
+ * - `0100`: learned unmodulated code (raw)
+ * - `5000`: RC5
+ * - `5001`: RC5x
+ * - `6000`: RC6 mode 0
+ * - `900A`: NEC
+ *
+ * Decoded protocol formats are encoded to raw timings with the carrier frequency of the PRONTO code. `sendir` always
+ * modulates the signal: unmodulated codes are sent with the lowest supported carrier frequency, their frequency word
+ * only defines the time unit of the timings.
+ *
+ * @param {string} prontoHex PRONTO HEX string.
  * @param {number} [repeatCount=1] optional repeat count to include in converted format.
- * @return {string}
- * @throws Error if the input PRONTO code is not in raw PRONTO hex format
+ * @return {string} `sendir` body: `frequency,repeat,offset,on1,off1,...`
+ * @throws Error if the input PRONTO code is invalid or in an unsupported format
  */
 function convertProntoToGlobalCache(prontoHex, repeatCount = 1) {
-  const hexValues = prontoHex.split(/[ ,]/);
+  const words = prontoHex
+    .trim()
+    .split(/[ ,]+/)
+    .map((hexValue) => parseInt(hexValue, 16));
 
-  if (parseInt(hexValues[0]) !== 0) {
-    throw new Error("Only raw PRONTO Hex codes are supported");
+  if (words.length < 4 || words.some((word) => isNaN(word))) {
+    throw new Error("Invalid PRONTO Hex code");
   }
 
-  // Skip the first value (format)
-  hexValues.shift();
+  const [format, frequencyWord] = words;
+  // Calculate the frequency
+  const frequency = Math.round(1000000 / (frequencyWord * PRONTO_CLOCK));
 
-  // Parse the remaining durations
-  const durations = hexValues.map((hexValue) => parseInt(hexValue, 16));
+  let signal;
+  switch (format) {
+    case 0x0000:
+      return _convertRawPronto(words, frequency, repeatCount);
+    case 0x0100:
+      return convertIrSignalToGlobalCache(_unmodulatedProntoSignal(words), repeatCount);
+    case 0x5000:
+      signal = encodeRc5(words[4], words[5]);
+      break;
+    case 0x5001:
+      signal = encodeRc5x(words[4], words[5], words[6]);
+      break;
+    case 0x6000:
+      signal = encodeRc6(words[4], words[5]);
+      break;
+    case 0x900a:
+      // device & subdevice in the 1st data word, command & inverted command in the 2nd
+      signal = encodeNec(words[4] >> 8, words[4] & 0xff, words[5] >> 8, words[5] & 0xff);
+      break;
+    default:
+      throw new Error(`Unsupported PRONTO Hex format: ${format.toString(16).padStart(4, "0")}`);
+  }
 
-  // Calculate the frequency
-  const frequency = Math.round(1000000 / (durations[0] * 0.241246));
+  return convertIrSignalToGlobalCache({ ...signal, frequency }, repeatCount);
+}
+
+/**
+ * Convert a learned unmodulated PRONTO code (format 0100) to an IR signal with timings in microseconds.
+ * @param {Array<number>} words PRONTO code words
+ * @return {IrSignal} signal with the lowest supported carrier frequency.
+ * @private
+ */
+function _unmodulatedProntoSignal(words) {
+  const unit = words[1] * PRONTO_CLOCK;
+  const durations = words.slice(4).map((word) => word * unit);
+  const onceLength = words[2] * 2;
+
+  return {
+    frequency: MIN_CARRIER_FREQUENCY,
+    intro: durations.slice(0, onceLength),
+    repeat: durations.slice(onceLength)
+  };
+}
+
+/**
+ * Convert a learned PRONTO code (format 0000) with timings in carrier cycles.
+ * @param {Array<number>} words PRONTO code words
+ * @param {number} frequency carrier frequency
+ * @param {number} repeatCount repeat count to include in converted format.
+ * @return {string}
+ * @private
+ */
+function _convertRawPronto(words, frequency, repeatCount) {
+  // Skip the preamble words: format, frequency, once & repeat sequence lengths
+  const durations = words.slice(4);
 
   // Calculate the preamble offset if there's a repeat sequence
   let preambleOffset = 1;
-  if (durations[1] > 0 && durations[2] > 0) {
+  if (words[2] > 0 && words[3] > 0) {
     // PRONTO specifies length in pairs, sendir as an offset
-    preambleOffset = durations[1] * 2 + 1;
+    preambleOffset = words[2] * 2 + 1;
+  }
+
+  return `${frequency},${repeatCount},${preambleOffset},` + durations.join(",");
+}
+
+/**
+ * Convert an encoded IR signal to the Global Caché `sendir` format.
+ *
+ * @param {IrSignal} signal IR signal with timings in microseconds.
+ * @param {number} [repeatCount=1] optional repeat count to include in converted format.
+ * @return {string} `sendir` body: `frequency,repeat,offset,on1,off1,...`
+ */
+function convertIrSignalToGlobalCache(signal, repeatCount = 1) {
+  const toCycles = (duration) => Math.max(1, Math.round((duration * signal.frequency) / 1000000));
+  const intro = signal.intro.map(toCycles);
+  const repeat = signal.repeat.map(toCycles);
+  const preambleOffset = intro.length > 0 && repeat.length > 0 ? intro.length + 1 : 1;
+
+  return `${signal.frequency},${repeatCount},${preambleOffset},` + intro.concat(repeat).join(",");
+}
+
+/**
+ * Convert a Global Caché `sendir` code to a PRONTO raw HEX string.
+ *
+ * This is the reverse of {@link convertProntoToGlobalCache}:
+ * - the frequency is converted to the PRONTO carrier frequency word.
+ * - the timings before the preamble offset are converted to the PRONTO once sequence, the remaining timings to the
+ *   repeat sequence. An offset of 1 results in a repeat sequence only.
+ * - the repeat count is ignored.
+ *
+ * Timings of learned codes jitter slightly. With `normalize` enabled, similar timings are replaced with their
+ * average value, see {@link normalizeIrTimings}.
+ *
+ * @param {string} sendIr `sendir` body `frequency,repeat,offset,on1,off1,...` or complete `sendir` request.
+ * @param {boolean} [normalize=false] normalize the timings.
+ * @return {string} PRONTO raw HEX string.
+ * @throws Error if the input is not a valid `sendir` code.
+ */
+function convertGlobalCacheToPronto(sendIr, normalize = false) {
+  const [frequency, , offset, ...values] = normalizeGlobalCacheIr(sendIr)
+    .split(",")
+    .map((value) => parseInt(value, 10));
+
+  const timings = normalize ? normalizeIrTimings(values) : values;
+  const frequencyWord = Math.round(1000000 / (frequency * PRONTO_CLOCK));
+  const onceLength = offset - 1;
+  const words = [0, frequencyWord, onceLength / 2, (timings.length - onceLength) / 2, ...timings];
+
+  return words.map((word) => word.toString(16).toUpperCase().padStart(4, "0")).join(" ");
+}
+
+/**
+ * Normalize IR timings by replacing similar durations with their average value.
+ *
+ * The timings are grouped in ascending order: a timing belongs to the current group if it doesn't exceed the smallest
+ * timing of the group by more than the given tolerance. All timings of a group are replaced with the group average.
+ *
+ * Example with 10% tolerance: `[20, 21, 22, 63, 64, 170]` is normalized to `[21, 21, 21, 64, 64, 170]`
+ *
+ * @param {Array<number>} timings timing values
+ * @param {number} [tolerance=0.1] relative tolerance of a timing group.
+ * @return {Array<number>} normalized timing values.
+ */
+function normalizeIrTimings(timings, tolerance = 0.1) {
+  const sorted = [...timings].sort((a, b) => a - b);
+  const averages = new Map();
+
+  let group = [];
+  const closeGroup = () => {
+    const average = Math.round(group.reduce((sum, value) => sum + value, 0) / group.length);
+    group.forEach((value) => averages.set(value, average));
+    group = [];
+  };
+
+  for (const value of sorted) {
+    if (group.length > 0 && value > group[0] * (1 + tolerance)) {
+      closeGroup();
+    }
+    group.push(value);
+  }
+  if (group.length > 0) {
+    closeGroup();
+  }
+
+  return timings.map((value) => averages.get(value));
+}
+
+/**
+ * Validate and normalize a native Global Caché `sendir` IR code.
+ *
+ * The code is either the `sendir` body `frequency,repeat,offset,on1,off1,...`, or a complete `sendir` request
+ * including the `sendir,<module>:<port>,<ID>,` prefix. The prefix is removed, since the port and ID are set when
+ * sending the code.
+ *
+ * @param {string} code native Global Caché IR code.
+ * @param {number} [repeatCount] optional repeat count to replace the repeat count of the code.
+ * @param {number} [maxRepeat=50] maximum repeat count: a higher repeat count is limited to this value.
+ * @return {string} normalized `sendir` body: `frequency,repeat,offset,on1,off1,...`
+ * @throws Error if the code is not a valid `sendir` code.
+ */
+function normalizeGlobalCacheIr(code, repeatCount, maxRepeat = 50) {
+  if (typeof code !== "string") {
+    throw new Error("Missing sendir code");
+  }
+  const fields = code.trim().split(/\s*,\s*/);
+  if (fields[0].toLowerCase() === "sendir") {
+    fields.splice(0, 3);
+  }
+
+  if (fields.length < 5 || fields.some((value) => !/^\d+$/.test(value))) {
+    throw new Error("Invalid sendir code: expected frequency,repeat,offset,on1,off1,...");
+  }
+
+  const values = fields.map((value) => parseInt(value, 10));
+  if (repeatCount > 0) {
+    values[1] = repeatCount;
+  }
+  values[1] = Math.min(values[1], maxRepeat);
+  const [frequency, repeat, offset] = values;
+  const timings = values.slice(3);
+
+  if (frequency < 15000 || frequency > 500000) {
+    throw new Error(`Invalid sendir frequency: ${frequency}`);
+  }
+  if (repeat < 1) {
+    throw new Error(`Invalid sendir repeat count: ${repeat}`);
+  }
+  if (timings.length % 2 !== 0) {
+    throw new Error("Invalid sendir code: timings must be on/off pairs");
+  }
+  if (offset < 1 || offset % 2 === 0 || offset > timings.length) {
+    throw new Error(`Invalid sendir offset: ${offset}`);
+  }
+  if (timings.some((value) => value < 1 || value > 65535)) {
+    throw new Error("Invalid sendir code: timing values must be between 1 and 65535");
+  }
+
+  return values.join(",");
+}
+
+/**
+ * Calculate the transmission duration of a native Global Caché `sendir` IR code, including all repeats.
+ *
+ * The code is not validated, invalid values result in `NaN`.
+ *
+ * @param {string} sendIr `sendir` body `frequency,repeat,offset,on1,off1,...` or complete `sendir` request.
+ * @return {number} duration in milliseconds.
+ */
+function sendIrDuration(sendIr) {
+  const fields = sendIr.trim().split(/\s*,\s*/);
+  if (fields[0].toLowerCase() === "sendir") {
+    fields.splice(0, 3);
+  }
+  const [frequency, repeat, offset, ...timings] = fields.map((value) => parseInt(value, 10));
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+  const periods = sum(timings) + (repeat - 1) * sum(timings.slice(offset - 1));
+
+  return (periods * 1000) / frequency;
+}
+
+/**
+ * Error types of failed device requests.
+ * @type {Readonly<{INVALID_REQUEST: string, BUSY: string, TIMEOUT: string, NOT_CONNECTED: string, FAILED: string}>}
+ */
+const ErrorType = Object.freeze({
+  /** Malformed request, invalid module or port address. */
+  INVALID_REQUEST: "INVALID_REQUEST",
+  /** IR port is busy with another transmission. */
+  BUSY: "BUSY",
+  /** No response within the send timeout. */
+  TIMEOUT: "TIMEOUT",
+  /** No connection to the device. */
+  NOT_CONNECTED: "NOT_CONNECTED",
+  /** Any other error. */
+  FAILED: "FAILED"
+});
+
+/**
+ * Get the error type of a failed device request from the error message.
+ *
+ * Recognized error responses of the Unified TCP API:
+ * - iTach, Flex & Global Connect: `ERR_<module>:<port>,<code>`, or `ERR <code>` for older firmware versions.
+ *   Error code `019` (repeated IR transmission failure) is a device failure, all other codes are request errors.
+ * - GC-100: `unknowncommand <code>`
+ * - `busyIR,<module>:<port>,<ID>`
+ *
+ * @param {string} message error message.
+ * @return {string} error type, see {@link ErrorType}.
+ */
+function errorTypeFromMessage(message) {
+  const msg = String(message ?? "");
+  if (/busyIR/i.test(msg)) {
+    return ErrorType.BUSY;
+  }
+  const match = /ERR(?:_\d+:\d+,|\s*)(\d+)/.exec(msg);
+  if (match) {
+    return parseInt(match[1], 10) === 19 ? ErrorType.FAILED : ErrorType.INVALID_REQUEST;
+  }
+  if (/unknowncommand/i.test(msg)) {
+    return ErrorType.INVALID_REQUEST;
+  }
+  if (/time(d)?\s?out/i.test(msg)) {
+    return ErrorType.TIMEOUT;
+  }
+  if (/not connected|ECONNREFUSED|ECONNRESET|EHOSTUNREACH|socket.*closed/i.test(msg)) {
+    return ErrorType.NOT_CONNECTED;
+  }
+  return ErrorType.FAILED;
+}
+
+/**
+ * Resolve the output port parameter of an IR command to a list of `module:port` addresses.
+ *
+ * Examples:
+ * - `undefined` returns `["1:1"]`
+ * - `"1:1,1:3"` or `["1:1", "1:3"]` returns `["1:1", "1:3"]`
+ * - `"tvs"` returns the ports of port group `tvs`
+ * @param {string|Array<string>|undefined} port single address, comma separated addresses, array of addresses or port
+ *        group names. Defaults to `1:1` if not set.
+ * @param {Object<string, Array<string>>} [portGroups={}] named port groups of the device.
+ * @return {Array<string>} unique `module:port` addresses.
+ * @throws Error if a port address or port group is invalid.
+ */
+function resolveIrPorts(port, portGroups = {}) {
+  const items = Array.isArray(port) ? port : String(port || "1:1").split(",");
+  const ports = new Set();
+  const portPattern = /^\d+:\d+$/;
+
+  for (const item of items.map((value) => String(value).trim())) {
+    if (portPattern.test(item)) {
+      ports.add(item);
+    } else if (portGroups && Object.hasOwn(portGroups, item) && Array.isArray(portGroups[item])) {
+      for (const groupPort of portGroups[item]) {
+        if (!portPattern.test(groupPort)) {
+          throw new Error(`Invalid port ${groupPort} in port group ${item}`);
+        }
+        ports.add(groupPort);
+      }
+    } else {
+      throw new Error(`Invalid port or port group: ${item}`);
+    }
+  }
+
+  if (ports.size === 0) {
+    throw new Error("Missing output port");
+  }
+  return [...ports];
+}
+
+/**
+ * Parse a port state message of a relay or sensor port.
+ *
+ * Example: `state,1:3,1` returns `{ port: "1:3", state: 1 }`
+ * @param {string} msg `state` message from the device.
+ * @return {{port: string, state: number}|undefined} parsed state, undefined if it's not a valid state message.
+ */
+function parseStateMessage(msg) {
+  const match = /^state,(\d+:\d+),([01])$/.exec(msg?.trim());
+  if (!match) {
+    return undefined;
+  }
+
+  return { port: match[1], state: parseInt(match[2], 10) };
+}
+
+/**
+ * Decode a serial command text with escape sequences to raw bytes.
+ *
+ * Supported escape sequences:
+ * - `\r`: carriage return
+ * - `\n`: line feed
+ * - `\t`: tab
+ * - `\\`: backslash
+ * - `\xHH`: byte with the given hex value, e.g. `\x0D`
+ *
+ * All other characters are encoded in ISO-8859-1 (one byte per character).
+ *
+ * @param {string} text serial command text
+ * @return {Buffer} raw bytes
+ * @throws Error if the text contains an invalid escape sequence
+ */
+function decodeSerialData(text) {
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c !== "\\") {
+      bytes.push(c.charCodeAt(0) & 0xff);
+      continue;
+    }
+
+    const escaped = text[++i];
+    switch (escaped) {
+      case "r":
+        bytes.push(0x0d);
+        break;
+      case "n":
+        bytes.push(0x0a);
+        break;
+      case "t":
+        bytes.push(0x09);
+        break;
+      case "\\":
+        bytes.push(0x5c);
+        break;
+      case "x": {
+        const hex = text.substring(i + 1, i + 3);
+        if (!/^[0-9a-fA-F]{2}$/.test(hex)) {
+          throw new Error(`Invalid hex escape sequence at position ${i - 1}`);
+        }
+        bytes.push(parseInt(hex, 16));
+        i += 2;
+        break;
+      }
+      default:
+        throw new Error(`Invalid escape sequence at position ${i - 1}`);
+    }
   }
 
-  return `${frequency},${repeatCount},${preambleOffset},` + durations.slice(3).join(",");
+  return Buffer.from(bytes);
 }
 
-export { i18all, convertProntoToGlobalCache };
+export {
+  ErrorType,
+  errorTypeFromMessage,
+  i18all,
+  convertProntoToGlobalCache,
+  convertIrSignalToGlobalCache,
+  convertGlobalCacheToPronto,
+  normalizeIrTimings,
+  normalizeGlobalCacheIr,
+  sendIrDuration,
+  resolveIrPorts,
+  parseStateMessage,
+  decodeSerialData
+};
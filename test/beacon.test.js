@@ -0,0 +1,125 @@
+import test from "ava";
+import dgram from "dgram";
+import {
+  BeaconListener,
+  discoverDevices,
+  isBeaconUuid,
+  isGlobalCacheBeacon,
+  parseBeacon,
+  waitForBeacons
+} from "../src/beacon.js";
+
+const BEACON =
+  "AMXB<-UUID=GlobalCache_000C1E024239><-SDKClass=Utility><-Make=GlobalCache><-Model=iTachWF2IR>" +
+  "<-Revision=710-1001-05><-Config-URL=http://192.168.1.70.><-Status=Ready>\r";
+
+test("Beacon properties and sender address are parsed", (t) => {
+  const beacon = parseBeacon(BEACON, "192.168.1.70");
+  t.is(beacon.get("UUID"), "GlobalCache_000C1E024239");
+  t.is(beacon.get("Make"), "GlobalCache");
+  t.is(beacon.get("Model"), "iTachWF2IR");
+  t.is(beacon.get("Config-URL"), "http://192.168.1.70.");
+  t.is(beacon.get("address"), "192.168.1.70");
+});
+
+test("Invalid beacon messages are ignored", (t) => {
+  t.is(parseBeacon("<-UUID=GlobalCache_000C1E024239>", "192.168.1.70"), undefined);
+  t.is(parseBeacon("AMXB<-Make=GlobalCache>", "192.168.1.70"), undefined);
+  t.is(parseBeacon("AMXB<-UUID=>", "192.168.1.70"), undefined);
+  t.is(parseBeacon(undefined, "192.168.1.70"), undefined);
+});
+
+test("Beacon UUIDs are distinguished from IP address based identifiers", (t) => {
+  t.true(isBeaconUuid("GlobalCache_000C1E024239"));
+  t.true(isBeaconUuid("GC100_000C1E01A875_GlobalCache"));
+  t.false(isBeaconUuid("iTach_19216811070"));
+  t.false(isBeaconUuid("GC-100_172161618"));
+  t.false(isBeaconUuid(undefined));
+});
+
+test("Beacons of other devices are not Global Caché beacons", (t) => {
+  t.true(isGlobalCacheBeacon(parseBeacon(BEACON, "192.168.1.70")));
+  t.false(isGlobalCacheBeacon(parseBeacon("AMXB<-UUID=GlobalCache_000C1E024239><-Make=Other>", "192.168.1.70")));
+  t.false(isGlobalCacheBeacon(parseBeacon("AMXB<-UUID=Projector_0001><-Make=GlobalCache>", "192.168.1.70")));
+  t.false(isGlobalCacheBeacon(undefined));
+});
+
+test("Aborted discovery returns without devices", async (t) => {
+  const controller = new AbortController();
+  controller.abort();
+  const devices = await discoverDevices({ timeout: 60000, signal: controller.signal });
+  t.is(devices.size, 0);
+});
+
+test("Discovery is cancelled with the abort signal", async (t) => {
+  const controller = new AbortController();
+  const discovery = discoverDevices({ timeout: 60000, signal: controller.signal });
+  setTimeout(() => controller.abort(), 10);
+  t.deepEqual(await discovery, new Map());
+});
+
+test("Waiting for beacons without addresses returns immediately", async (t) => {
+  t.deepEqual(await waitForBeacons([], 60000), new Map());
+});
+
+test("Waiting for beacons ends after the timeout", async (t) => {
+  t.deepEqual(await waitForBeacons(["192.0.2.1"], 10), new Map());
+});
+
+/**
+ * Record the sockets created by the beacon listener. Must only be used in serial tests.
+ * @return {{sockets: Array<dgram.Socket>, restore: function()}}
+ */
+function recordSockets() {
+  const createSocket = dgram.createSocket;
+  const sockets = [];
+  dgram.createSocket = (...args) => {
+    const socket = createSocket(...args);
+    sockets.push(socket);
+    return socket;
+  };
+  return { sockets, restore: () => (dgram.createSocket = createSocket) };
+}
+
+const waitFor = async (condition, timeout = 1000) => {
+  const end = Date.now() + timeout;
+  while (!condition() && Date.now() < end) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  return condition();
+};
+
+test.serial("Beacon listener is restarted after a socket error", async (t) => {
+  const { sockets, restore } = recordSockets();
+  const listener = new BeaconListener({ restartDelay: 10 });
+  try {
+    listener.start();
+    t.is(sockets.length, 1);
+
+    sockets[0].emit("error", new Error("network down"));
+    t.true(await waitFor(() => sockets.length === 2));
+
+    // the delay is doubled with each failed attempt
+    sockets[1].emit("error", new Error("network down"));
+    const start = Date.now();
+    t.true(await waitFor(() => sockets.length === 3));
+    t.true(Date.now() - start >= 15);
+  } finally {
+    listener.stop();
+    restore();
+  }
+});
+
+test.serial("Stopped beacon listener is not restarted", async (t) => {
+  const { sockets, restore } = recordSockets();
+  const listener = new BeaconListener({ restartDelay: 10 });
+  try {
+    listener.start();
+    sockets[0].emit("error", new Error("network down"));
+    listener.stop();
+    t.false(await waitFor(() => sockets.length > 1, 50));
+  } finally {
+    listener.stop();
+    restore();
+  }
+});
@@ -0,0 +1,266 @@
+import test from "ava";
+import net from "net";
+import { GcConnectionSettings, GcDevice } from "../src/config.js";
+import { DEVICE_EVENTS, DEVICE_STATES, GlobalCacheDevice } from "../src/device.js";
+
+/**
+ * Start a local TCP server as Global Caché device.
+ *
+ * @param {function(string): string|undefined} onRequest called with each received request message without the
+ *        carriage return. Returns the response message, or undefined to not respond.
+ * @return {Promise<{port: number, connections: number, close: function(): Promise<void>}>}
+ */
+function startServer(onRequest) {
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    result.connections += 1;
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    let buffer = "";
+    socket.on("data", (data) => {
+      buffer += data.toString();
+      let pos;
+      while ((pos = buffer.indexOf("\r")) !== -1) {
+        const response = onRequest(buffer.substring(0, pos));
+        buffer = buffer.substring(pos + 1);
+        if (response !== undefined) {
+          socket.write(response + "\r");
+        }
+      }
+    });
+  });
+  const result = {
+    port: 0,
+    connections: 0,
+    close: () =>
+      new Promise((resolve) => {
+        sockets.forEach((socket) => socket.destroy());
+        server.close(() => resolve());
+      })
+  };
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      result.port = server.address().port;
+      resolve(result);
+    });
+  });
+}
+
+/**
+ * Get a local TCP port without a listening server: connection attempts are refused.
+ * @return {Promise<number>}
+ */
+async function unusedPort() {
+  const server = await startServer(() => undefined);
+  await server.close();
+  return server.port;
+}
+
+/**
+ * Record the time of each connection attempt to the given local TCP port.
+ *
+ * @param {number} port TCP port.
+ * @return {{attempts: Array<number>, restore: function()}} attempt timestamps and a function to stop recording.
+ */
+function recordConnectionAttempts(port) {
+  const connect = net.Socket.prototype.connect;
+  const attempts = [];
+  net.Socket.prototype.connect = function (...args) {
+    // net.connect passes its normalized arguments as array
+    const options = Array.isArray(args[0]) ? args[0][0] : args[0];
+    if ((typeof options === "object" ? options.port : options) === port) {
+      attempts.push(Date.now());
+    }
+    return connect.apply(this, args);
+  };
+  return { attempts, restore: () => (net.Socket.prototype.connect = connect) };
+}
+
+/**
+ * Wait until the device emits the given state.
+ *
+ * @param {GlobalCacheDevice} device device instance.
+ * @param {string} state expected device state.
+ * @param {number} [timeout=2000] timeout in milliseconds.
+ * @return {Promise<void>}
+ */
+function waitForState(device, state, timeout = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      device.removeListener(DEVICE_EVENTS.STATE_CHANGED, onStateChanged);
+      reject(new Error(`Timeout waiting for device state ${state}, current state: ${device.state}`));
+    }, timeout);
+    const onStateChanged = (data) => {
+      if (data.state === state) {
+        clearTimeout(timer);
+        device.removeListener(DEVICE_EVENTS.STATE_CHANGED, onStateChanged);
+        resolve();
+      }
+    };
+    device.on(DEVICE_EVENTS.STATE_CHANGED, onStateChanged);
+  });
+}
+
+function createDevice(port, settings) {
+  const cfg = new GcDevice("GC_TEST", "Test", `127.0.0.1:${port}`, [], {}, false, new GcConnectionSettings(settings));
+  return new GlobalCacheDevice(cfg);
+}
+
+test("Heartbeat latency is measured while connected", async (t) => {
+  const server = await startServer((request) => (request === "getversion" ? "710-1005-05" : undefined));
+  const device = createDevice(server.port, { heartbeatInterval: 20 });
+  try {
+    t.is(device.latency, undefined);
+    device.connect();
+    await waitForState(device, DEVICE_STATES.ONLINE);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    t.is(typeof device.latency, "number");
+    t.true(device.latency >= 0);
+
+    device.disconnect();
+    await waitForState(device, DEVICE_STATES.OFFLINE);
+    t.is(device.latency, undefined);
+  } finally {
+    device.disconnect();
+    await server.close();
+  }
+});
+
+test("Connection is re-established after failed heartbeats", async (t) => {
+  const server = await startServer(() => undefined);
+  const device = createDevice(server.port, { heartbeatInterval: 20, sendTimeout: 50, reconnectDelay: 20 });
+  const states = [];
+  device.on(DEVICE_EVENTS.STATE_CHANGED, (data) => states.push(data.state));
+  try {
+    device.connect();
+    await waitForState(device, DEVICE_STATES.ONLINE);
+    await waitForState(device, DEVICE_STATES.ERROR);
+    t.is(device.latency, undefined);
+    await waitForState(device, DEVICE_STATES.ONLINE);
+
+    const error = states.indexOf(DEVICE_STATES.ERROR);
+    t.deepEqual(states.slice(0, 2), [DEVICE_STATES.CONNECTING, DEVICE_STATES.ONLINE]);
+    t.true(states.indexOf(DEVICE_STATES.RECONNECTING, error) > error);
+  } finally {
+    device.disconnect();
+    await server.close();
+  }
+});
+
+test.serial("Failed connection attempts are retried with an exponential backoff", async (t) => {
+  const port = await unusedPort();
+  const recorder = recordConnectionAttempts(port);
+  const device = createDevice(port, { reconnectDelay: 50, reconnectMaxDelay: 200 });
+  try {
+    device.connect();
+    await new Promise((resolve) => setTimeout(resolve, 900));
+    device.disconnect();
+
+    const delays = recorder.attempts.slice(1).map((time, index) => time - recorder.attempts[index]);
+    t.true(delays.length >= 4, `attempts: ${recorder.attempts.length}`);
+    // 50, 100, 200, 200 ms
+    t.true(delays[0] >= 45 && delays[0] < 100, `delays: ${delays}`);
+    t.true(delays[1] >= 95 && delays[1] < 200, `delays: ${delays}`);
+    t.true(delays[2] >= 195 && delays[2] < 400, `delays: ${delays}`);
+    t.true(delays[3] >= 195 && delays[3] < 400, `delays: ${delays}`);
+  } finally {
+    device.disconnect();
+    recorder.restore();
+  }
+});
+
+test.serial("Disconnected device is not reconnected", async (t) => {
+  const port = await unusedPort();
+  const recorder = recordConnectionAttempts(port);
+  const device = createDevice(port, { reconnectDelay: 20 });
+  try {
+    device.connect();
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    device.disconnect();
+
+    const attempts = recorder.attempts.length;
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    t.true(attempts > 0);
+    t.is(recorder.attempts.length, attempts);
+  } finally {
+    device.disconnect();
+    recorder.restore();
+  }
+});
+
+test("Command connects on demand and the connection is closed after the idle timeout", async (t) => {
+  const server = await startServer((request) => (request === "getversion" ? "710-1005-05" : undefined));
+  const device = createDevice(server.port, { connectOnDemand: true, idleTimeout: 100 });
+  try {
+    device.connect();
+    t.is(device.state, DEVICE_STATES.IDLE);
+    t.false(device.connected);
+    t.true(device.available);
+
+    t.is(await device.send("getversion"), "710-1005-05");
+    t.true(device.connected);
+    await waitForState(device, DEVICE_STATES.IDLE);
+    t.false(device.connected);
+
+    // the next command connects again
+    t.is(await device.send("getversion"), "710-1005-05");
+    t.is(server.connections, 2);
+  } finally {
+    device.disconnect();
+    await server.close();
+  }
+});
+
+test("Failed on demand connection fails the command and the device stays idle", async (t) => {
+  const port = await unusedPort();
+  const device = createDevice(port, { connectOnDemand: true, reconnectDelay: 20 });
+  try {
+    device.connect();
+    const start = Date.now();
+    await t.throwsAsync(device.send("getversion"));
+    t.true(Date.now() - start < 1000);
+    t.is(device.state, DEVICE_STATES.IDLE);
+
+    // no reconnection attempts in connect on demand mode
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    t.is(device.state, DEVICE_STATES.IDLE);
+  } finally {
+    device.disconnect();
+  }
+});
+
+test("On demand request deadline includes the connection time", async (t) => {
+  const server = await startServer(() => undefined);
+  const device = createDevice(server.port, { connectOnDemand: true, sendTimeout: 10000 });
+  try {
+    const start = Date.now();
+    await t.throwsAsync(device.send("getversion"), { message: /Timeout sending request/ });
+    const duration = Date.now() - start;
+    t.true(duration >= 2900 && duration < 4000, `duration: ${duration}`);
+  } finally {
+    device.disconnect();
+    await server.close();
+  }
+});
+
+test("Device is reconnected to the changed address", async (t) => {
+  const server = await startServer(() => undefined);
+  const newServer = await startServer(() => undefined);
+  const cfg = new GcDevice("GC_TEST", "Test", `127.0.0.1:${server.port}`);
+  const device = new GlobalCacheDevice(cfg);
+  try {
+    device.connect();
+    await waitForState(device, DEVICE_STATES.ONLINE);
+    t.is(device.address, `127.0.0.1:${server.port}`);
+
+    cfg.address = `127.0.0.1:${newServer.port}`;
+    device.reconnect();
+    await waitForState(device, DEVICE_STATES.ONLINE);
+    t.is(device.address, `127.0.0.1:${newServer.port}`);
+    t.is(newServer.connections, 1);
+  } finally {
+    device.disconnect();
+    await server.close();
+    await newServer.close();
+  }
+});
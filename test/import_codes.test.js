@@ -0,0 +1,98 @@
+import test from "ava";
+import { convertCodeSet, parseCodeFile, parseCsv, parseText, toKeyName } from "../src/import_codes.js";
+
+const SENDIR = "sendir,1:1,1,38029,1,1,343,172,21,64,21,1512";
+const PRONTO = "0000 006D 0000 0003 0157 00AC 0015 0040 0015 05E8";
+
+test("iRDatabase JSON export is parsed", (t) => {
+  const content = JSON.stringify([
+    { Function: "POWER ON", Code1: SENDIR, HexCode1: PRONTO },
+    { Function: "POWER OFF", Code1: SENDIR },
+    { Function: "EMPTY" }
+  ]);
+  t.deepEqual(parseCodeFile(content, "codes.json"), [
+    { name: "POWER ON", code: PRONTO },
+    { name: "POWER OFF", code: SENDIR }
+  ]);
+});
+
+test("Invalid iRDatabase JSON export throws an error", (t) => {
+  t.throws(() => parseCodeFile('{"foo": 1}', "codes.json"));
+});
+
+test("CSV with header and quoted codes is parsed", (t) => {
+  const content = `Function,Code\n"Power On","${SENDIR}"\n"Mute";"invalid"\nVolume Up,"${PRONTO}"\n`;
+  t.deepEqual(parseCsv(content), [
+    { name: "Power On", code: SENDIR },
+    { name: "Volume Up", code: PRONTO }
+  ]);
+});
+
+test("CSV with unquoted sendir code is parsed", (t) => {
+  t.deepEqual(parseCodeFile(`Power On,${SENDIR}\r\n`, "codes.CSV"), [{ name: "Power On", code: SENDIR }]);
+});
+
+test("CSV with semicolon separator is parsed", (t) => {
+  t.deepEqual(parseCsv(`Power On;${SENDIR}\nPower Off;${PRONTO}`), [
+    { name: "Power On", code: SENDIR },
+    { name: "Power Off", code: PRONTO }
+  ]);
+});
+
+test("iLearn text with name lines is parsed", (t) => {
+  const content = `Power On\n${SENDIR}\n\nPower Off\n${PRONTO}\n${SENDIR}\n`;
+  t.deepEqual(parseText(content), [
+    { name: "Power On", code: SENDIR },
+    { name: "Power Off", code: PRONTO },
+    { name: "CODE_3", code: SENDIR }
+  ]);
+});
+
+test("iLearn text with name prefix is parsed", (t) => {
+  const content = `Power On: ${SENDIR}\nPower Off\t${PRONTO}\nInput=${SENDIR}`;
+  t.deepEqual(parseCodeFile(content, "codes.txt"), [
+    { name: "Power On", code: SENDIR },
+    { name: "Power Off", code: PRONTO },
+    { name: "Input", code: SENDIR }
+  ]);
+});
+
+const keyName = test.macro((t, input, expected) => {
+  t.is(toKeyName(input), expected);
+});
+
+test("Function name is converted to upper case key", keyName, "Power On", "POWER_ON");
+test("Special characters are removed from key", keyName, " Vol. + (up) ", "VOL_UP");
+
+test("Code set is converted to PRONTO", (t) => {
+  const { codeSet, errors } = convertCodeSet(
+    [
+      { name: "Power On", code: SENDIR },
+      { name: "Power", code: PRONTO.replaceAll(" ", ",").toLowerCase() },
+      { name: "power", code: SENDIR }
+    ],
+    "TV"
+  );
+  t.deepEqual(errors, []);
+  t.deepEqual(codeSet, {
+    name: "TV",
+    codes: [
+      { key: "POWER_ON", format: "PRONTO", value: PRONTO },
+      { key: "POWER", format: "PRONTO", value: PRONTO },
+      { key: "POWER_2", format: "PRONTO", value: PRONTO }
+    ]
+  });
+});
+
+test("Invalid codes are skipped in code set conversion", (t) => {
+  const { codeSet, errors } = convertCodeSet(
+    [
+      { name: "Broken", code: "sendir,1:1,1,38029,1,1,343" },
+      { name: "Power", code: SENDIR }
+    ],
+    "TV"
+  );
+  t.is(errors.length, 1);
+  t.true(errors[0].startsWith("Broken: "));
+  t.deepEqual(codeSet.codes, [{ key: "POWER", format: "PRONTO", value: PRONTO }]);
+});
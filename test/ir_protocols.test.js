@@ -0,0 +1,132 @@
+import test from "ava";
+import {
+  encodeIrProtocol,
+  encodeNec,
+  encodeRc5,
+  isIrProtocol,
+  parseIrProtocolCode,
+  SequenceBuilder
+} from "../src/ir_protocols.js";
+
+test("SequenceBuilder merges consecutive marks and spaces", (t) => {
+  const durations = new SequenceBuilder().mark(100).mark(50).space(20).add([-30, 10, 10]).extendTo(500).build();
+  t.deepEqual(durations, [150, 50, 20, 280]);
+});
+
+test("SequenceBuilder skips a leading space", (t) => {
+  const durations = new SequenceBuilder().space(100).mark(50).extendTo(1000).build();
+  t.deepEqual(durations, [50, 850]);
+});
+
+test("SequenceBuilder encodes bits in msb and lsb order", (t) => {
+  const msb = new SequenceBuilder().bits(0b110, 3, true, [1, -1], [2, -1]).build();
+  t.deepEqual(msb, [2, 1, 2, 1, 1, 1]);
+
+  const lsb = new SequenceBuilder().bits(0b110, 3, false, [1, -1], [2, -1]).build();
+  t.deepEqual(lsb, [1, 1, 2, 1, 2, 1]);
+});
+
+test("Protocol names are case-insensitive", (t) => {
+  t.true(isIrProtocol("nec"));
+  t.true(isIrProtocol("Sony12"));
+  t.true(isIrProtocol("SAMSUNG32"));
+  t.false(isIrProtocol("PRONTO"));
+  t.false(isIrProtocol(undefined));
+});
+
+test("NEC protocol uses inverted device as default subdevice", (t) => {
+  t.deepEqual(encodeIrProtocol("NEC", 4, undefined, 8), encodeNec(4, 0xfb, 8, 0xf7));
+  t.deepEqual(encodeIrProtocol("NEC", 4, -1, 8), encodeNec(4, 0xfb, 8, 0xf7));
+});
+
+test("RC5 protocol ignores subdevice", (t) => {
+  t.deepEqual(encodeIrProtocol("RC5", 0, 12, 1), encodeRc5(0, 1));
+});
+
+test("NECx protocol is encoded with first device bit repeat sequence", (t) => {
+  const signal = encodeIrProtocol("NECx", 7, undefined, 2);
+  t.is(signal.frequency, 38400);
+  t.deepEqual(signal.intro.slice(0, 8), [4512, 4512, 564, 1692, 564, 1692, 564, 1692]);
+  t.is(
+    signal.intro.reduce((sum, value) => sum + value, 0),
+    108000
+  );
+  t.deepEqual(signal.repeat, [4512, 4512, 564, 1692, 564, 96156]);
+});
+
+test("Samsung32 protocol repeats the full frame", (t) => {
+  const signal = encodeIrProtocol("Samsung32", 7, undefined, 2);
+  t.deepEqual(signal.intro, []);
+  t.deepEqual(signal.repeat, encodeIrProtocol("NECx", 7, 7, 2).intro);
+});
+
+test("Sony12 protocol is encoded with three frames", (t) => {
+  const frame = [
+    2400, 600, 1200, 600, 600, 600, 1200, 600, 600, 600, 1200, 600, 600, 600, 600, 600, 1200, 600, 600, 600, 600, 600,
+    600, 600, 600, 25800
+  ];
+  const signal = encodeIrProtocol("Sony12", 1, undefined, 21);
+  t.is(signal.frequency, 40000);
+  t.deepEqual(signal.intro, [...frame, ...frame]);
+  t.deepEqual(signal.repeat, frame);
+});
+
+test("Sony15 and Sony20 protocols have a frame length of 45ms", (t) => {
+  const sum = (durations) => durations.reduce((total, value) => total + value, 0);
+  t.is(sum(encodeIrProtocol("Sony15", 164, undefined, 21).repeat), 45000);
+  t.is(sum(encodeIrProtocol("Sony20", 26, 73, 16).repeat), 45000);
+});
+
+test("JVC protocol is encoded with leader in intro sequence only", (t) => {
+  const signal = encodeIrProtocol("JVC", 3, undefined, 23);
+  t.is(signal.frequency, 38000);
+  t.deepEqual(signal.intro.slice(0, 2), [8400, 4200]);
+  t.deepEqual(signal.intro.slice(2), signal.repeat);
+  t.deepEqual(signal.repeat.slice(0, 4), [525, 1575, 525, 1575]);
+});
+
+test("Panasonic protocol contains manufacturer code and checksum", (t) => {
+  const signal = encodeIrProtocol("Panasonic", 160, 0, 1);
+  t.is(signal.frequency, 37000);
+  t.deepEqual(signal.intro, []);
+  // leader + 48 bits + stop bit
+  t.is(signal.repeat.length, 2 + 48 * 2 + 2);
+  t.deepEqual(signal.repeat.slice(0, 6), [3456, 1728, 432, 432, 432, 1296]);
+  t.deepEqual(encodeIrProtocol("Kaseikyo", 160, 0, 1), signal);
+});
+
+test("Unsupported protocol throws an error", (t) => {
+  t.throws(() => encodeIrProtocol("Foobar", 1, undefined, 1), { message: "Unsupported IR protocol: Foobar" });
+});
+
+test("Protocol parameter out of range throws an error", (t) => {
+  t.throws(() => encodeIrProtocol("RC5", 32, undefined, 1));
+  t.throws(() => encodeIrProtocol("NEC", 1, 256, 1));
+  t.throws(() => encodeIrProtocol("Sony12", 1, undefined, 128));
+  t.throws(() => encodeIrProtocol("JVC", 1, undefined, NaN));
+});
+
+const protocolCode = test.macro((t, input, expected) => {
+  t.deepEqual(parseIrProtocolCode(input), expected);
+});
+
+test("Protocol code with device and function is parsed", protocolCode, "4,8", {
+  device: 4,
+  subdevice: undefined,
+  function: 8
+});
+
+test("Protocol code with subdevice is parsed", protocolCode, "4, -1, 8", { device: 4, subdevice: -1, function: 8 });
+
+test("Protocol code with space separator is parsed", protocolCode, "26 73 16", {
+  device: 26,
+  subdevice: 73,
+  function: 16
+});
+
+test("Invalid protocol code throws an error", (t) => {
+  t.throws(() => parseIrProtocolCode("4"));
+  t.throws(() => parseIrProtocolCode("1,2,3,4"));
+  t.throws(() => parseIrProtocolCode("0x04,8"));
+  t.throws(() => parseIrProtocolCode(undefined));
+});
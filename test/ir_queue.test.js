@@ -0,0 +1,171 @@
+import test from "ava";
+import { IrSendQueue } from "../src/ir_queue.js";
+
+/**
+ * Create a transmit function which records all requests and completes them manually.
+ */
+function createTransmitter() {
+  const requests = [];
+  const transmit = (port, sendIr) =>
+    new Promise((resolve, reject) => {
+      requests.push({ port, sendIr, resolve, reject });
+    });
+  return { requests, transmit };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test("IR codes on the same port are sent one after another", async (t) => {
+  const { requests, transmit } = createTransmitter();
+  const queue = new IrSendQueue(transmit);
+
+  const first = queue.send("1:1", "A");
+  const second = queue.send("1:1", "B");
+  await tick();
+  t.is(requests.length, 1);
+
+  requests[0].resolve("completeir,1:1,1");
+  t.is(await first, "completeir,1:1,1");
+  await tick();
+  t.is(requests.length, 2);
+  t.is(requests[1].sendIr, "B");
+
+  requests[1].resolve("completeir,1:1,2");
+  t.is(await second, "completeir,1:1,2");
+});
+
+test("IR codes on different ports are sent independently", async (t) => {
+  const { requests, transmit } = createTransmitter();
+  const queue = new IrSendQueue(transmit);
+
+  queue.send("1:1", "A");
+  queue.send("1:2", "A");
+  await tick();
+  t.deepEqual(
+    requests.map((request) => request.port),
+    ["1:1", "1:2"]
+  );
+});
+
+test("Identical queued IR codes are coalesced", async (t) => {
+  const { requests, transmit } = createTransmitter();
+  const queue = new IrSendQueue(transmit);
+
+  queue.send("1:1", "A");
+  const second = queue.send("1:1", "B");
+  const third = queue.send("1:1", "B");
+  t.is(second, third);
+
+  await tick();
+  requests[0].resolve("done");
+  await tick();
+  requests[1].resolve("done");
+  await second;
+  await tick();
+  t.is(requests.length, 2);
+});
+
+test("Failed IR code doesn't block the queue", async (t) => {
+  const { requests, transmit } = createTransmitter();
+  const queue = new IrSendQueue(transmit);
+
+  const first = queue.send("1:1", "A");
+  const second = queue.send("1:1", "B");
+  await tick();
+  requests[0].reject(new Error("ERR_1:1,004"));
+  await t.throwsAsync(first, { message: "ERR_1:1,004" });
+
+  await tick();
+  requests[1].resolve("done");
+  t.is(await second, "done");
+});
+
+test("Busy IR port is retried", async (t) => {
+  let calls = 0;
+  const queue = new IrSendQueue(
+    async () => {
+      calls++;
+      if (calls < 3) {
+        throw new Error("busyIR,1:1,1");
+      }
+      return "completeir,1:1,1";
+    },
+    { busyRetryDelay: 1 }
+  );
+
+  t.is(await queue.send("1:1", "A"), "completeir,1:1,1");
+  t.is(calls, 3);
+});
+
+test("Busy IR port fails after the configured retries", async (t) => {
+  let calls = 0;
+  const queue = new IrSendQueue(
+    async () => {
+      calls++;
+      throw new Error("busyIR,1:1,1");
+    },
+    { busyRetries: 2, busyRetryDelay: 1 }
+  );
+
+  await t.throwsAsync(queue.send("1:1", "A"), { message: "busyIR,1:1,1" });
+  t.is(calls, 3);
+});
+
+test("Gap is inserted between IR codes on the same port", async (t) => {
+  const sent = [];
+  const queue = new IrSendQueue(
+    async (port, sendIr) => {
+      sent.push(Date.now());
+      return sendIr;
+    },
+    { gap: 50 }
+  );
+
+  await Promise.all([queue.send("1:1", "A"), queue.send("1:1", "B")]);
+  // allow some timer inaccuracy
+  t.true(sent[1] - sent[0] >= 45);
+});
+
+test("Queued IR codes are dropped when the queue is cleared", async (t) => {
+  const { requests, transmit } = createTransmitter();
+  const queue = new IrSendQueue(transmit);
+
+  const first = queue.send("1:1", "A");
+  const second = queue.send("1:1", "B");
+  await tick();
+  queue.clear();
+
+  requests[0].reject(new Error("socket closed"));
+  await t.throwsAsync(first, { message: "socket closed" });
+  await t.throwsAsync(second, { message: "IR send queue cleared" });
+  t.is(requests.length, 1);
+
+  const third = queue.send("1:1", "C");
+  await tick();
+  t.is(requests.length, 2);
+  requests[1].resolve("completeir,1:1,3");
+  t.is(await third, "completeir,1:1,3");
+});
+
+test("Clearing a port only drops the queued IR codes of this port", async (t) => {
+  const { requests, transmit } = createTransmitter();
+  const queue = new IrSendQueue(transmit);
+
+  const first = queue.send("1:1", "A");
+  const second = queue.send("1:1", "B");
+  const other = queue.send("1:2", "C");
+  await tick();
+  t.true(queue.busy("1:1"));
+  queue.clear("1:1");
+
+  requests[0].resolve("completeir,1:1,1");
+  t.is(await first, "completeir,1:1,1");
+  await t.throwsAsync(second, { message: "IR send queue cleared" });
+  t.false(queue.busy("1:1"));
+
+  t.true(queue.busy("1:2"));
+  requests[1].resolve("completeir,1:2,2");
+  t.is(await other, "completeir,1:2,2");
+  t.false(queue.busy("1:2"));
+  t.is(requests.length, 2);
+});
@@ -0,0 +1,72 @@
+import test from "ava";
+import net from "net";
+import { parseAddressInput, parseIpRange, probePort, resolveHost, scanHosts } from "../src/scan.js";
+
+test("Address list with hostnames and port overrides is parsed", (t) => {
+  t.deepEqual(parseAddressInput(" 192.168.1.20, itach.local:4999;192.168.1.21\n192.168.1.20 "), [
+    { address: "192.168.1.20", scan: false },
+    { address: "itach.local:4999", scan: false },
+    { address: "192.168.1.21", scan: false }
+  ]);
+});
+
+test("Empty address list returns no addresses", (t) => {
+  t.deepEqual(parseAddressInput(" , "), []);
+  t.deepEqual(parseAddressInput(undefined), []);
+});
+
+test("IP ranges are expanded to scan addresses", (t) => {
+  t.deepEqual(parseAddressInput("10.0.0.1-3, 10.0.0.2"), [
+    { address: "10.0.0.1", scan: true },
+    { address: "10.0.0.2", scan: false },
+    { address: "10.0.0.3", scan: true }
+  ]);
+});
+
+test("CIDR range excludes network and broadcast address", (t) => {
+  t.deepEqual(parseIpRange("192.168.1.77/24"), { first: 0xc0a80101, last: 0xc0a801fe });
+  t.deepEqual(parseIpRange("192.168.1.77/32"), { first: 0xc0a8014d, last: 0xc0a8014d });
+  t.is(parseAddressInput("192.168.1.0/30").length, 2);
+});
+
+test("Address range is parsed", (t) => {
+  t.deepEqual(parseIpRange("10.0.0.250-10.0.1.5"), { first: 0x0a0000fa, last: 0x0a000105 });
+  t.is(parseIpRange("10.0.0.250"), undefined);
+});
+
+test("Invalid addresses and ranges throw an error", (t) => {
+  t.throws(() => parseAddressInput("192.168.1.256"), { message: "Invalid address: 192.168.1.256" });
+  t.throws(() => parseAddressInput("itach:port"));
+  t.throws(() => parseAddressInput("itach:70000"));
+  t.throws(() => parseAddressInput("fe80::1"));
+  t.throws(() => parseAddressInput("10.0.0.20-10"), { message: "Invalid IP range: 10.0.0.20-10" });
+  t.throws(() => parseAddressInput("10.0.0.0/33"));
+});
+
+test("Too many scan addresses throw an error", (t) => {
+  t.notThrows(() => parseAddressInput("10.0.0.0/22"));
+  t.throws(() => parseAddressInput("10.0.0.0/21"));
+  t.throws(() => parseAddressInput("10.0.0.0/22, 10.0.4.0/24"));
+});
+
+test("Open and closed ports are detected", async (t) => {
+  const server = net.createServer((socket) => socket.destroy());
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  try {
+    t.true(await probePort("127.0.0.1", port, 1000));
+    t.deepEqual(await scanHosts(["127.0.0.2", "127.0.0.1"], { port, timeout: 1000, concurrency: 1 }), ["127.0.0.1"]);
+  } finally {
+    server.close();
+  }
+});
+
+test("IP address is not resolved", async (t) => {
+  t.is(await resolveHost("192.168.1.70"), "192.168.1.70");
+});
+
+test("Hostname is resolved to the IPv4 address", async (t) => {
+  t.is(await resolveHost("localhost"), "127.0.0.1");
+  // cached result
+  t.is(await resolveHost("localhost"), "127.0.0.1");
+});
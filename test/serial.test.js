@@ -0,0 +1,100 @@
+import test from "ava";
+import net from "net";
+import { SerialClient, serialTcpPort } from "../src/serial.js";
+
+/**
+ * Start a local TCP server as serial port socket.
+ *
+ * @param {function(net.Socket, Buffer)} onData called with the client socket and the received data.
+ * @return {Promise<{port: number, close: function(): Promise<void>}>}
+ */
+function startServer(onData) {
+  const server = net.createServer((socket) => {
+    socket.on("data", (data) => onData(socket, data));
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        port: server.address().port,
+        close: () => new Promise((resolve) => server.close(() => resolve()))
+      });
+    });
+  });
+}
+
+test("Serial TCP port is derived from the module number", (t) => {
+  t.is(serialTcpPort(1), 4999);
+  t.is(serialTcpPort(2), 5000);
+  t.is(serialTcpPort(3), 5001);
+});
+
+test("Serial response is returned once the terminator is received", async (t) => {
+  const server = await startServer((socket, data) => {
+    if (data.toString() === "PWR?\r") {
+      // response is split over two packets
+      socket.write("PWR");
+      setTimeout(() => socket.write("=ON\rignored"), 10);
+    }
+  });
+  const client = new SerialClient("127.0.0.1", server.port);
+  try {
+    t.is(await client.send(Buffer.from("PWR?\r"), Buffer.from("\r")), "PWR=ON\r");
+    t.true(client.connected);
+  } finally {
+    client.close();
+    await server.close();
+  }
+});
+
+test("Serial request without terminator resolves after sending", async (t) => {
+  let onReceived;
+  const received = new Promise((resolve) => {
+    onReceived = resolve;
+  });
+  const server = await startServer((socket, data) => onReceived(data.toString()));
+  const client = new SerialClient("127.0.0.1", server.port);
+  try {
+    t.is(await client.send(Buffer.from("VOL+\r")), undefined);
+    t.is(await received, "VOL+\r");
+  } finally {
+    client.close();
+    await server.close();
+  }
+});
+
+test("Pending serial response is rejected when the connection is lost", async (t) => {
+  const server = await startServer((socket) => socket.destroy());
+  const client = new SerialClient("127.0.0.1", server.port);
+  try {
+    const start = Date.now();
+    await t.throwsAsync(client.send(Buffer.from("PWR?\r"), Buffer.from("\r"), 5000), { message: /disconnected/ });
+    t.true(Date.now() - start < 1000);
+    t.false(client.connected);
+  } finally {
+    client.close();
+    await server.close();
+  }
+});
+
+test("Pending serial response is rejected when the client is closed", async (t) => {
+  const server = await startServer(() => {});
+  const client = new SerialClient("127.0.0.1", server.port);
+  try {
+    const response = client.send(Buffer.from("PWR?\r"), Buffer.from("\r"), 5000);
+    while (!client.connected) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    client.close();
+    await t.throwsAsync(response, { message: /closed/ });
+  } finally {
+    await server.close();
+  }
+});
+
+test("Failed serial connection is rejected", async (t) => {
+  const server = await startServer(() => {});
+  const port = server.port;
+  await server.close();
+  const client = new SerialClient("127.0.0.1", port);
+  await t.throwsAsync(client.send(Buffer.from("PWR?\r"), Buffer.from("\r")), { code: "ECONNREFUSED" });
+});
@@ -0,0 +1,46 @@
+import test from "ava";
+import { IrPortMode } from "gc-unified-lib/src/models.js";
+import { GcDevice, GcIrPort, GcSerialSettings } from "../src/config.js";
+import { irPortsFromDeviceInfo } from "../src/setup_flow.js";
+
+test("Ports of a new device are created from the device information", (t) => {
+  const deviceInfo = {
+    irPorts: [
+      { module: 1, port: 1, mode: IrPortMode.SERIAL },
+      { module: 2, port: 1, mode: IrPortMode.IR }
+    ]
+  };
+
+  const ports = irPortsFromDeviceInfo(deviceInfo);
+  t.is(ports.length, 2);
+  t.like(ports[0], { module: 1, port: 1, mode: IrPortMode.SERIAL, label: undefined });
+  t.deepEqual(ports[0].serial, new GcSerialSettings());
+  t.like(ports[1], { module: 2, port: 1, mode: IrPortMode.IR, serial: undefined, label: undefined });
+});
+
+test("Edited device keeps the port names and serial settings of existing ports", (t) => {
+  const serial = new GcSerialSettings({ baudRate: 9600, responseTerminator: "\\r" });
+  const existing = new GcDevice("GC_TEST", "Test", "192.168.1.10", [
+    new GcIrPort(1, 1, IrPortMode.SERIAL, serial, "Projector"),
+    new GcIrPort(2, 1, IrPortMode.IR, undefined, "TV"),
+    new GcIrPort(2, 2, IrPortMode.IR, undefined, "Receiver"),
+    new GcIrPort(2, 3, IrPortMode.IR, undefined, "Removed")
+  ]);
+  // a port mode was changed on the device, and a module was replaced
+  const deviceInfo = {
+    irPorts: [
+      { module: 1, port: 1, mode: IrPortMode.SERIAL },
+      { module: 2, port: 1, mode: IrPortMode.IR },
+      { module: 2, port: 2, mode: IrPortMode.SENSOR },
+      { module: 3, port: 1, mode: IrPortMode.IR }
+    ]
+  };
+
+  const ports = irPortsFromDeviceInfo(deviceInfo, existing);
+  t.is(ports.length, 4);
+  t.like(ports[0], { module: 1, port: 1, mode: IrPortMode.SERIAL, label: "Projector" });
+  t.is(ports[0].serial, serial);
+  t.like(ports[1], { module: 2, port: 1, mode: IrPortMode.IR, label: "TV" });
+  t.like(ports[2], { module: 2, port: 2, mode: IrPortMode.SENSOR, label: "Receiver" });
+  t.like(ports[3], { module: 3, port: 1, mode: IrPortMode.IR, label: undefined });
+});
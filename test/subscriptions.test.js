@@ -0,0 +1,56 @@
+import test from "ava";
+import { EntitySubscriptions } from "../src/subscriptions.js";
+
+test("First subscribed entity of a device is reported", (t) => {
+  const subscriptions = new EntitySubscriptions();
+  t.false(subscriptions.has("dev1"));
+  t.true(subscriptions.subscribe("dev1", "dev1:IR"));
+  t.false(subscriptions.subscribe("dev1", "dev1:1_1"));
+  t.false(subscriptions.subscribe("dev1", "dev1:IR"));
+  t.true(subscriptions.subscribe("dev2", "dev2:IR"));
+
+  t.true(subscriptions.has("dev1"));
+  t.true(subscriptions.isSubscribed("dev1", "dev1:IR"));
+  t.false(subscriptions.isSubscribed("dev1", "dev1:1_2"));
+  t.deepEqual(subscriptions.entityIds("dev1"), ["dev1:IR", "dev1:1_1"]);
+});
+
+test("Device is unused after its last entity is unsubscribed", (t) => {
+  const subscriptions = new EntitySubscriptions();
+  subscriptions.subscribe("dev1", "dev1:IR");
+  subscriptions.subscribe("dev1", "dev1:1_1");
+  subscriptions.subscribe("dev2", "dev2:IR");
+
+  t.false(subscriptions.unsubscribe("dev1", "dev1:IR"));
+  t.true(subscriptions.has("dev1"));
+  t.true(subscriptions.unsubscribe("dev1", "dev1:1_1"));
+  t.false(subscriptions.has("dev1"));
+  t.deepEqual(subscriptions.entityIds("dev1"), []);
+  // a repeated unsubscribe doesn't report the device again
+  t.false(subscriptions.unsubscribe("dev1", "dev1:1_1"));
+
+  t.true(subscriptions.has("dev2"));
+  // the device is used again with the next subscription
+  t.true(subscriptions.subscribe("dev1", "dev1:IR"));
+});
+
+test("Unsubscribing an entity that isn't subscribed is ignored", (t) => {
+  const subscriptions = new EntitySubscriptions();
+  t.false(subscriptions.unsubscribe("dev1", "dev1:IR"));
+  subscriptions.subscribe("dev1", "dev1:IR");
+  t.false(subscriptions.unsubscribe("dev1", "dev1:1_1"));
+  t.true(subscriptions.has("dev1"));
+});
+
+test("Subscribed entities of removed devices are removed", (t) => {
+  const subscriptions = new EntitySubscriptions();
+  subscriptions.subscribe("dev1", "dev1:IR");
+  subscriptions.subscribe("dev2", "dev2:IR");
+
+  subscriptions.remove("dev1");
+  t.false(subscriptions.has("dev1"));
+  t.true(subscriptions.has("dev2"));
+
+  subscriptions.clear();
+  t.false(subscriptions.has("dev2"));
+});
@@ -1,6 +1,18 @@
 import test from "ava";
 import i18n from "i18n";
-import { convertProntoToGlobalCache, i18all } from "../src/util.js";
+import {
+  convertGlobalCacheToPronto,
+  convertProntoToGlobalCache,
+  decodeSerialData,
+  ErrorType,
+  errorTypeFromMessage,
+  i18all,
+  normalizeGlobalCacheIr,
+  normalizeIrTimings,
+  parseStateMessage,
+  resolveIrPorts,
+  sendIrDuration
+} from "../src/util.js";
 
 const de = {
   test: {
@@ -104,3 +116,321 @@ test(
   "0000 006D 0000 0033 0083 0041 0010 0010 0010 0010 0010 0031 0010 0010 0010 0031 0010 0010 0010 0031 0010 0010 0010 0010 0010 0031 0010 0010 0010 0010 0010 0031 0010 0031 0010 0010 0010 0010 0010 0010 0010 0010 0010 0010 0010 0010 0010 0031 0010 0010 0010 0031 0010 0010 0010 0031 0010 0010 0010 0010 0010 0010 0010 0031 0010 0031 0010 0010 0010 0010 0010 0010 0010 0010 0010 0010 0010 0010 0010 0010 0010 0010 0010 0031 0010 0010 0010 0031 0010 0010 0010 0010 0010 0010 0010 0010 0010 0031 0010 0010 0010 0010 0010 09ba 0000 05b9",
   "38029,1,1,131,65,16,16,16,16,16,49,16,16,16,49,16,16,16,49,16,16,16,16,16,49,16,16,16,16,16,49,16,49,16,16,16,16,16,16,16,16,16,16,16,16,16,49,16,16,16,49,16,16,16,49,16,16,16,16,16,16,16,49,16,49,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,49,16,16,16,49,16,16,16,16,16,16,16,16,16,49,16,16,16,16,16,2490,0,1465"
 );
+
+test(
+  "Pronto learned unmodulated code is sent with the lowest carrier frequency",
+  prontoToGc,
+  "0100 0070 0000 0006 0016 0016 0016 0042 0016 0016 0016 0042 0016 0042 0016 0A3C",
+  "15000,1,1,9,9,9,27,9,9,9,27,9,27,9,1062"
+);
+
+test(
+  "Pronto unmodulated code with once and repeat sequence keeps the preamble offset",
+  prontoToGc,
+  "0100 006D 0001 0002 0020 0500 0020 0020 0020 0500",
+  "15000,1,3,13,505,13,13,13,505"
+);
+
+test(
+  "Pronto RC5 code is encoded",
+  prontoToGc,
+  "5000 0073 0000 0001 0000 0001",
+  "36045,1,1,32,32,64,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,64,32,3212"
+);
+
+test(
+  "Pronto RC5 code with command > 63 is encoded with inverted field bit",
+  prontoToGc,
+  "5000 0073 0000 0001 0014 0050",
+  "36045,1,1,64,32,32,64,64,64,64,32,32,32,32,64,64,32,32,32,32,32,32,3244"
+);
+
+test(
+  "Pronto RC5x code is encoded",
+  prontoToGc,
+  "5001 0073 0000 0002 0005 0041 0010 0000",
+  "36045,1,1,64,32,32,32,32,32,32,64,64,64,32,128,32,32,32,32,32,32,32,32,32,64,64,64,64,32,32,32,32,32,32,2731"
+);
+
+test(
+  "Pronto RC6 mode 0 code is encoded",
+  prontoToGc,
+  "6000 0073 0000 0002 0000 000C",
+  "36045,1,1,96,32,16,32,16,16,16,16,16,32,32,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,16,32,16,16,32,16,16,16,3025"
+);
+
+test(
+  "Pronto NEC code is encoded with ditto repeat sequence",
+  prontoToGc,
+  "900A 006D 0000 0001 04FB 08F7",
+  "38029,1,69,343,172,21,21,21,21,21,64,21,21,21,21,21,21,21,21,21,21,21,64,21,64,21,21,21,64,21,64,21,64,21,64,21,64,21,21,21,21,21,21,21,64,21,21,21,21,21,21,21,21,21,64,21,64,21,64,21,21,21,64,21,64,21,64,21,64,21,1512,343,86,21,3657"
+);
+
+test("Pronto code with unsupported format throws an error", (t) => {
+  t.throws(() => convertProntoToGlobalCache("7000 0073 0000 0001 0000 0001"), {
+    message: "Unsupported PRONTO Hex format: 7000"
+  });
+});
+
+test("Pronto RC5 code with invalid system throws an error", (t) => {
+  t.throws(() => convertProntoToGlobalCache("5000 0073 0000 0001 0020 0001"));
+});
+
+test("Pronto code with invalid hex values throws an error", (t) => {
+  t.throws(() => convertProntoToGlobalCache("0000 006D 0000 0001 XYZ 0020"));
+});
+
+test("Pronto code without data words throws an error", (t) => {
+  t.throws(() => convertProntoToGlobalCache("0000 006D"));
+});
+
+const gcToPronto = test.macro((t, input, expected) => {
+  const result = convertGlobalCacheToPronto(input);
+  t.is(result, expected);
+});
+
+test(
+  "Captured sendir without repeat sequence is converted to Pronto",
+  gcToPronto,
+  "sendir,1:1,1,38029,1,1,343,172,21,64,21,1512",
+  "0000 006D 0000 0003 0157 00AC 0015 0040 0015 05E8"
+);
+
+test(
+  "Sendir with preamble offset is converted to Pronto once and repeat sequence",
+  gcToPronto,
+  "38029,1,5,343,172,21,1512,343,86,21,3657",
+  "0000 006D 0002 0002 0157 00AC 0015 05E8 0157 0056 0015 0E49"
+);
+
+test(
+  "Sendir with normalization is converted to Pronto with averaged timings",
+  (t, input, expected) => {
+    t.is(convertGlobalCacheToPronto(input, true), expected);
+  },
+  "sendir,1:1,2,38029,1,1,342,170,22,20,21,63,20,64,22,1510",
+  "0000 006D 0000 0005 0156 00AA 0015 0015 0015 0040 0015 0040 0015 05E6"
+);
+
+test("Invalid sendir is not converted to Pronto", (t) => {
+  t.throws(() => convertGlobalCacheToPronto("38029,1,1,342"));
+});
+
+const normalizeTimings = test.macro((t, input, expected) => {
+  t.deepEqual(normalizeIrTimings(input), expected);
+});
+
+test(
+  "Similar timings are normalized to their average",
+  normalizeTimings,
+  [20, 21, 22, 63, 64, 170],
+  [21, 21, 21, 64, 64, 170]
+);
+
+test("Timing order is kept in normalization", normalizeTimings, [64, 20, 1510, 22, 63], [64, 21, 1510, 21, 64]);
+
+test("Distinct timings are not normalized", normalizeTimings, [10, 20, 40, 80], [10, 20, 40, 80]);
+
+test("Empty timings are normalized", normalizeTimings, [], []);
+
+const prontoRoundTrip = test.macro((t, input) => {
+  const result = convertGlobalCacheToPronto(convertProntoToGlobalCache(input));
+  t.is(result, input);
+});
+
+const gcRoundTrip = test.macro((t, input) => {
+  const result = convertProntoToGlobalCache(convertGlobalCacheToPronto(input));
+  t.is(result, input);
+});
+
+test(
+  "Pronto round-trip without repeat sequence",
+  prontoRoundTrip,
+  "0000 006D 0000 0020 000A 001E 000A 0046 000A 001E 000A 001E 000A 001E 000A 001E 000A 001E 000A 001E 000A 001E 000A 0046 000A 0046 000A 0046 000A 0046 000A 001E 000A 001E 000A 0679 000A 001E 000A 0046 000A 001E 000A 001E 000A 001E 000A 0046 000A 0046 000A 0046 000A 0046 000A 001E 000A 001E 000A 001E 000A 001E 000A 0046 000A 0046 000A 0679"
+);
+
+test(
+  "Pronto round-trip with once and repeat sequence",
+  prontoRoundTrip,
+  "0000 006D 0022 0002 0155 00AB 0015 0015 0015 0015 0015 0015 0015 0015 0015 0015 0015 0015 0015 0015 0015 003F 0015 0015 0015 003F 0015 003F 0015 003F 0015 003F 0015 003F 0015 003F 0015 0015 0015 0015 0015 003F 0015 003F 0015 0015 0015 0015 0015 003F 0015 0015 0015 0015 0015 003F 0015 0015 0015 0015 0015 003F 0015 003F 0015 0015 0015 003F 0015 003F 0015 0626 0155 0055 0015 0E4C"
+);
+
+test(
+  "Pronto round-trip of a Sony code with 40 kHz carrier",
+  prontoRoundTrip,
+  "0000 0067 0000 000D 0060 0018 0030 0018 0018 0018 0030 0018 0018 0018 0030 0018 0018 0018 0018 0018 0030 0018 0018 0018 0018 0018 0018 0018 0018 0403"
+);
+
+test(
+  "Global Caché round-trip of a NEC code with ditto repeat",
+  gcRoundTrip,
+  "38029,1,69,343,172,21,21,21,21,21,64,21,21,21,21,21,21,21,21,21,21,21,64,21,64,21,21,21,64,21,64,21,64,21,64,21,64,21,21,21,21,21,21,21,64,21,21,21,21,21,21,21,21,21,64,21,64,21,64,21,21,21,64,21,64,21,64,21,64,21,1512,343,86,21,3657"
+);
+
+test(
+  "Global Caché round-trip of a RC5 code",
+  gcRoundTrip,
+  "36045,1,1,32,32,64,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,32,64,32,3212"
+);
+
+const stateMsg = test.macro((t, input, expected) => {
+  const result = parseStateMessage(input);
+  t.deepEqual(result, expected);
+});
+
+test("State message of a closed relay is parsed", stateMsg, "state,3:1,1", { port: "3:1", state: 1 });
+
+test("State message of an open relay is parsed", stateMsg, "state,1:2,0", { port: "1:2", state: 0 });
+
+test("State message with trailing CR is parsed", stateMsg, "state,1:1,1\r", { port: "1:1", state: 1 });
+
+test("Invalid state message returns undefined", stateMsg, "ERR_1:1,008", undefined);
+
+test("State message with invalid state returns undefined", stateMsg, "state,1:1,2", undefined);
+
+test("Undefined state message returns undefined", stateMsg, undefined, undefined);
+
+const serialData = test.macro((t, input, expected) => {
+  const result = decodeSerialData(input);
+  t.deepEqual([...result], expected);
+});
+
+test("Serial data without escape sequences is decoded", serialData, "PWR", [0x50, 0x57, 0x52]);
+
+test("Serial data with control character escapes is decoded", serialData, "A\\r\\n\\t", [0x41, 0x0d, 0x0a, 0x09]);
+
+test("Serial data with escaped backslash is decoded", serialData, "\\\\x", [0x5c, 0x78]);
+
+test("Serial data with hex escapes is decoded", serialData, "\\x02PON\\x03\\xff", [0x02, 0x50, 0x4f, 0x4e, 0x03, 0xff]);
+
+test("Empty serial data is decoded", serialData, "", []);
+
+test("Serial data with invalid hex escape throws an error", (t) => {
+  t.throws(() => decodeSerialData("\\x0G"));
+});
+
+test("Serial data with unknown escape sequence throws an error", (t) => {
+  t.throws(() => decodeSerialData("\\a"));
+});
+
+test("Serial data with trailing backslash throws an error", (t) => {
+  t.throws(() => decodeSerialData("PWR\\"));
+});
+
+const sendIr = test.macro((t, input, repeat, expected) => {
+  const result = normalizeGlobalCacheIr(input, repeat);
+  t.is(result, expected);
+});
+
+const invalidSendIr = test.macro((t, input) => {
+  t.throws(() => normalizeGlobalCacheIr(input));
+});
+
+test(
+  "Native sendir body is accepted",
+  sendIr,
+  "38000,1,1,341,171,21,21,21,63,21,1574",
+  undefined,
+  "38000,1,1,341,171,21,21,21,63,21,1574"
+);
+
+test(
+  "Native sendir body with whitespace is normalized",
+  sendIr,
+  " 38000, 1, 3 ,341,171,21,21,21,63,21,1574 ",
+  undefined,
+  "38000,1,3,341,171,21,21,21,63,21,1574"
+);
+
+test(
+  "Complete sendir request is stripped of port and ID",
+  sendIr,
+  "sendir,1:1,42,38000,1,1,341,171,21,21,21,63,21,1574",
+  undefined,
+  "38000,1,1,341,171,21,21,21,63,21,1574"
+);
+
+test(
+  "Native sendir repeat count is replaced",
+  sendIr,
+  "38000,1,1,341,171,21,21,21,63,21,1574",
+  3,
+  "38000,3,1,341,171,21,21,21,63,21,1574"
+);
+
+test(
+  "Native sendir repeat count is limited",
+  sendIr,
+  "38000,60,1,341,171,21,21,21,63,21,1574",
+  undefined,
+  "38000,50,1,341,171,21,21,21,63,21,1574"
+);
+
+test("Native sendir repeat count is limited to the given maximum", (t) => {
+  t.is(normalizeGlobalCacheIr("38000,1,1,341,171,21,21", 50, 31), "38000,31,1,341,171,21,21");
+  t.is(normalizeGlobalCacheIr("38000,40,1,341,171,21,21", undefined, 31), "38000,31,1,341,171,21,21");
+  t.is(normalizeGlobalCacheIr("38000,5,1,341,171,21,21", undefined, 31), "38000,5,1,341,171,21,21");
+});
+
+test("Native sendir with missing timings is rejected", invalidSendIr, "38000,1,1");
+test("Native sendir with odd number of timings is rejected", invalidSendIr, "38000,1,1,341,171,21");
+test("Native sendir with non-numeric values is rejected", invalidSendIr, "38000,1,1,341,0x15,21,21");
+test("Native sendir with invalid frequency is rejected", invalidSendIr, "1000,1,1,341,171,21,21");
+test("Native sendir with invalid repeat count is rejected", invalidSendIr, "38000,0,1,341,171,21,21");
+test("Native sendir with even offset is rejected", invalidSendIr, "38000,1,2,341,171,21,21");
+test("Native sendir with offset out of range is rejected", invalidSendIr, "38000,1,5,341,171,21,21");
+test("Native sendir with zero timing value is rejected", invalidSendIr, "38000,1,1,341,0,21,21");
+test(
+  "Native sendir with maximum timing value is accepted",
+  sendIr,
+  "38000,1,1,65535,171,21,21",
+  undefined,
+  "38000,1,1,65535,171,21,21"
+);
+test("Native sendir with timing value out of range is rejected", invalidSendIr, "38000,1,1,65536,171,21,21");
+test("PRONTO code is rejected as native sendir", invalidSendIr, "0000 006D 0000 0001 0155 00AB");
+test("Missing native sendir code is rejected", invalidSendIr, undefined);
+
+test("sendir duration includes intro and repeats", (t) => {
+  // first transmission: 140 periods, repeat: 60 periods at 20 kHz
+  t.is(sendIrDuration("20000,1,3,60,20,40,20"), 7);
+  t.is(sendIrDuration("20000,3,3,60,20,40,20"), 13);
+  t.is(sendIrDuration("sendir,1:1,4,20000,2,1,60,20,40,20"), 14);
+});
+
+const errorType = test.macro((t, input, expected) => {
+  t.is(errorTypeFromMessage(input), expected);
+});
+
+test("iTach invalid pulse count error is an invalid request", errorType, "ERR_1:1,008", ErrorType.INVALID_REQUEST);
+test("iTach invalid connector error is an invalid request", errorType, "ERR_4:2,003", ErrorType.INVALID_REQUEST);
+test("Legacy iTach error is an invalid request", errorType, "ERR 01", ErrorType.INVALID_REQUEST);
+test("IR transmission failure is a failed request", errorType, "ERR_1:1,019", ErrorType.FAILED);
+test("GC-100 unknown command is an invalid request", errorType, "unknowncommand 3", ErrorType.INVALID_REQUEST);
+test("Busy IR port is detected", errorType, "busyIR,1:1,42", ErrorType.BUSY);
+test("Send timeout is detected", errorType, "Timeout waiting for response", ErrorType.TIMEOUT);
+test("Connection error is detected", errorType, "connect ECONNREFUSED 192.168.1.42:4998", ErrorType.NOT_CONNECTED);
+test("Unknown error is a failed request", errorType, "Something went wrong", ErrorType.FAILED);
+test("Missing error message is a failed request", errorType, undefined, ErrorType.FAILED);
+
+const PORT_GROUPS = { tvs: ["1:1", "1:2", "1:3"], bar: ["1:3"] };
+
+const irPorts = test.macro((t, input, expected) => {
+  t.deepEqual(resolveIrPorts(input, PORT_GROUPS), expected);
+});
+
+test("Missing IR port defaults to 1:1", irPorts, undefined, ["1:1"]);
+test("Single IR port is resolved", irPorts, "1:2", ["1:2"]);
+test("Comma separated IR ports are resolved", irPorts, "1:1, 1:3", ["1:1", "1:3"]);
+test("IR port array is resolved", irPorts, ["1:3", "1:1"], ["1:3", "1:1"]);
+test("IR port group is resolved", irPorts, "tvs", ["1:1", "1:2", "1:3"]);
+test("IR port groups and ports are resolved without duplicates", irPorts, ["bar", "1:3", "tvs"], ["1:3", "1:1", "1:2"]);
+
+test("Invalid IR port or unknown port group throws an error", (t) => {
+  t.throws(() => resolveIrPorts("1", PORT_GROUPS));
+  t.throws(() => resolveIrPorts("kitchen", PORT_GROUPS), { message: "Invalid port or port group: kitchen" });
+  t.throws(() => resolveIrPorts("toString", PORT_GROUPS));
+  t.throws(() => resolveIrPorts([], PORT_GROUPS));
+  t.throws(() => resolveIrPorts("tvs", { tvs: ["1:1", "all"] }));
+  t.throws(() => resolveIrPorts("tvs", null));
+});